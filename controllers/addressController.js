@@ -1,11 +1,12 @@
 const Address = require("../models/userAddress");
 const mongoose = require("mongoose");
-const { Addresschema } = require("../validations/validation");
+const { Addresschema, updateAddressSchema } = require("../validations/validation");
+const { checkServiceability, notServiceableMessage } = require("../services/deliveryService");
 
 const createAddress = async (req, res) => {
   try {
     // Validate the request body against the schema
-    const { error } = Addresschema.validate(req.body);
+    const { error, value } = Addresschema.validate(req.body);
     if (error) {
       return res.status(400).send({
         success: false,
@@ -14,11 +15,28 @@ const createAddress = async (req, res) => {
     }
 
     // Destructure validated values from the request body
-    const { name, mobile, email, Pincode, Landmark, district, state, addressAs, fullAddress } = req.body;
+    const { name, mobile, email, Pincode, Landmark, district, state, addressAs, fullAddress, isDefaultShipping, isDefaultBilling } = value;
 
-    // Save the data to the database
-    const userAddress = new Address({name,mobile,email,Pincode,Landmark,district,state,addressAs,fullAddress });
+    const { serviceable } = await checkServiceability(Pincode);
+    if (!serviceable) {
+      return res.status(400).send({
+        success: false,
+        message: notServiceableMessage(Pincode)
+      });
+    }
+
+    // A user's first address becomes their default shipping and billing address
+    const isFirstAddress = !(await Address.exists({ userId: req.userId }));
+    const defaults = {
+      isDefaultShipping: Boolean(isDefaultShipping) || isFirstAddress,
+      isDefaultBilling: Boolean(isDefaultBilling) || isFirstAddress
+    };
+
+    // Save the data to the database, then let it take over the default flags
+    const userAddress = new Address({userId: req.userId,name,mobile,email,Pincode,Landmark,district,state,addressAs,fullAddress });
     const savedAddress = await userAddress.save();
+    await Address.takeDefaults(req.userId, defaults, savedAddress._id);
+    savedAddress.set(defaults);
 
     // Successful response
     return res.status(201).send({
@@ -39,21 +57,43 @@ const createAddress = async (req, res) => {
 //update the address 
 const updateAddress = async (req, res) => {
   try {
+    const { error, value } = updateAddressSchema.validate(req.body);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
     // Destructure validated values from the request body
-    const { name, mobile, email, Pincode, Landmark, district, state, addressAs,fullAddress} = req.body;
+    const { isDefaultShipping, isDefaultBilling, ...fields } = value;
+    const { Pincode } = fields;
 
     // req id from params
     const  id = req.params.id;
     if(!mongoose.Types.ObjectId.isValid(id)){
         return res.status(400).json({message:"Invalid address Id"})
     }
-   
 
-    // Update the address in the database
-    const updatedAddress = await Address.findByIdAndUpdate(
-      id,
-      { name, mobile, email, Pincode, Landmark, district, state, addressAs,fullAddress},
-      { new: true }
+    if (Pincode !== undefined) {
+      const { serviceable } = await checkServiceability(Pincode);
+      if (!serviceable) {
+        return res.status(400).send({
+          success: false,
+          message: notServiceableMessage(Pincode)
+        });
+      }
+    }
+
+    // Update the address in the database. Giving up a default flag is a plain
+    // update; taking one over happens after the update succeeded.
+    const update = { ...fields };
+    if (isDefaultShipping === false) update.isDefaultShipping = false;
+    if (isDefaultBilling === false) update.isDefaultBilling = false;
+    let updatedAddress = await Address.findOneAndUpdate(
+      { _id: id, userId: req.userId },
+      update,
+      { new: true, runValidators: true }
     );
 
     if (!updatedAddress) {
@@ -62,6 +102,10 @@ const updateAddress = async (req, res) => {
         message: "Address not found"
       });
     }
+    if (isDefaultShipping || isDefaultBilling) {
+      await Address.takeDefaults(req.userId, { isDefaultShipping, isDefaultBilling }, id);
+      updatedAddress = await Address.findById(id);
+    }
 
     // Success response
     return res.status(200).send({
@@ -86,7 +130,7 @@ const getAddress =async(req,res)=>{
     if(!mongoose.Types.ObjectId.isValid(id)){
         return res.status(400).json({message:"Invalid address Id"})
     }
-        const myAddress =await Address.findById(id)
+        const myAddress =await Address.findOne({ _id: id, userId: req.userId })
         if(!myAddress){
             return res.status(404).send({
                 success:"false",
@@ -118,7 +162,7 @@ try{
       if(!mongoose.Types.ObjectId.isValid(id)){
           return res.status(400).json({message:"Invalid address Id"})
       }
-    const myAddress =await Address.findByIdAndDelete(id)
+    const myAddress =await Address.findOneAndDelete({ _id: id, userId: req.userId })
     if(!myAddress){
         return res.status(404).send({
             success:"false",
@@ -143,8 +187,28 @@ try{
       });
 }
 }
+//list the logged-in user's addresses
+const getMyAddresses = async (req, res) => {
+  try {
+    const addresses = await Address.find({ userId: req.userId }).sort({ createdAt: -1 });
+    return res.status(200).send({
+      success: true,
+      message: "Here are your addresses",
+      total: addresses.length,
+      addresses
+    });
+  } catch (error) {
+    return res.status(500).send({
+      success: false,
+      message: "Error fetching addresses",
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createAddress,
+  getMyAddresses,
   updateAddress,
   getAddress,
   deleteAddress
@@ -1,7 +1,73 @@
 const Product = require('../models/Product');
 const Cart = require('../models/Cart'); 
 const mongoose = require("mongoose");
-const { updateItemSchema, addToCartSchema} = require('../validations/validation');
+const { updateItemSchema, addToCartSchema, cartQuerySchema, applyCouponSchema} = require('../validations/validation');
+const { resolveVariant } = require('../services/variantService');
+const { shippingOptions } = require('../services/shippingService');
+const { checkServiceability } = require('../services/deliveryService');
+const { findCoupon, checkCouponForUser } = require('../services/couponService');
+const { resolveAddress, quoteOrder } = require('../services/orderService');
+
+// Everything pricing reads (GST, promotions, coupons, shipping) must be loaded here too
+const CART_PRODUCT_FIELDS = 'name description finalPrice basePrice images size discountPrice quantity variants weight category subCategory brand gstRate hsnCode productType';
+
+// Prices the user's cart for the order summary the way checkout charges it
+// (see quoteOrder): shipped to `addressId`, else to the user's default
+// shipping address, paid by `paymentMethod`. A `pincode` other than the
+// address's gives an estimate for that pincode. `couponCode` defaults to the
+// coupon saved on the cart; when that one no longer applies the cart is priced
+// without it and the reason is returned as `couponError`. `cod` tells whether
+// the cart can be paid on delivery, with the fee or the reason why not.
+// Returns `{ summary, shipping, shippingOptions, couponError, cod }` or `{ status, error }`.
+const priceCart = async (
+  cart,
+  userId,
+  { addressId, pincode, shippingMethod, paymentMethod, couponCode = cart.couponCode }
+) => {
+  const lines = cart.cartItems
+      .filter(item => item.productId)
+      .map(item => ({ product: item.productId, variantId: item.variantId, quantity: item.quantity }));
+
+  const { status, error, address } = await resolveAddress(userId, addressId, "isDefaultShipping");
+  if (error) {
+      return { status, error };
+  }
+  if (!pincode && address) {
+      pincode = address.Pincode;
+  }
+  const delivery = pincode ? await checkServiceability(pincode) : undefined;
+  // GST is split by state, which only the saved address tells us
+  const shipToState = address && address.Pincode === pincode ? address.state : undefined;
+  const quote = (coupon) =>
+      quoteOrder(lines, { userId, delivery, shipToState, shippingMethod, coupon, paymentMethod });
+
+  let couponError;
+  let priced;
+  if (couponCode) {
+      const coupon = await findCoupon(couponCode);
+      const check = await checkCouponForUser(coupon, userId);
+      priced = check.error ? check : await quote(coupon);
+      couponError = priced.error;
+  }
+  if (!priced || priced.error) {
+      priced = await quote();
+      if (priced.error) {
+          return { status: 400, error: priced.error };
+      }
+  }
+
+  const options = await shippingOptions({ lines, subtotal: priced.summary.subtotal, zone: delivery && delivery.zone });
+  const cod = priced.cod.error
+      ? { available: false, reason: priced.cod.error }
+      : { available: true, fee: priced.cod.fee };
+  return { summary: priced.summary, shipping: priced.shipping, shippingOptions: options, couponError, cod };
+};
+
+// A cart line is identified by its product and, for products sold by variant,
+// the variant. Without a variantId every line of the product matches.
+const isSameLine = (item, productId, variantId) =>
+  item.productId.toString() === productId &&
+  (!variantId || String(item.variantId) === String(variantId));
 
 const addToCart = async (req, res) => {
   try {
@@ -27,7 +93,7 @@ const addToCart = async (req, res) => {
           cart = new Cart({ userId, cartItems: [] });
       }
       for (const productData of productsToAdd) {
-          const { productId, quantity } = productData;
+          const { productId, variantId, quantity } = productData;
           if (!mongoose.Types.ObjectId.isValid(productId)) {
               return res.status(400).send({
                   success: false,
@@ -41,7 +107,14 @@ const addToCart = async (req, res) => {
                   message: `Product not available: ${productId}`,
               });
           }
-          if (product.quantity < quantity) {
+          const line = resolveVariant(product, variantId);
+          if (line.error) {
+              return res.status(400).send({
+                  success: false,
+                  message: line.error,
+              });
+          }
+          if (line.stock < quantity) {
               return res.status(400).send({
                   success: false,
                   message: `Stock not available for product: ${productId}`,
@@ -49,7 +122,7 @@ const addToCart = async (req, res) => {
           }
           // Check if the product is already in the cart
           const itemIndex = cart.cartItems.findIndex(
-              (item) => item.productId.toString() === productId
+              (item) => isSameLine(item, productId, variantId)
           );
           if (itemIndex > -1) {
               return res.status(400).send({
@@ -57,7 +130,7 @@ const addToCart = async (req, res) => {
                   message: `Product already added to cart: ${productId}`,
               });
           } else {
-              cart.cartItems.push({ productId, quantity });
+              cart.cartItems.push({ productId, variantId, quantity });
           }
       }
       await cart.save();
@@ -78,6 +151,13 @@ const addToCart = async (req, res) => {
 //get the cart 
 const getcart = async (req, res) => {
   try {
+      const { error, value: query } = cartQuerySchema.validate(req.query);
+      if (error) {
+          return res.status(400).json({
+             success: false,
+             message: error.details[0].message
+          });
+      }
       const userId = req.userId;
       if (!mongoose.Types.ObjectId.isValid(userId)) {
           return res.status(400).json({
@@ -91,36 +171,23 @@ const getcart = async (req, res) => {
               message: 'User ID is required'
              });
       }
-      const cart = await Cart.findOne({userId}).populate('cartItems.productId', 'name description finalPrice basePrice images size discountPrice');
+      const cart = await Cart.findOne({userId}).populate('cartItems.productId', CART_PRODUCT_FIELDS);
       if (!cart) {
           return res.status(404).json({ message: 'Cart not found' });
       }
-      let subtotal = 0;
-      let totalDiscount = 0;
-      let total=0;
-      cart.cartItems.forEach(item => {
-          const itemSubtotal = item?.productId?.finalPrice * item?.quantity;
-        //  const itemDiscount = ((item.productId.basePrice*item.productId.discountPrice)/100);
-          const itemtotal =item?.productId?.basePrice*item?.quantity 
-          total   +=itemtotal;
-          subtotal += itemSubtotal;
-         // totalDiscount += itemDiscount;
-      });
-      totalDiscount= total-subtotal;
-      const deliveryCharges = 93;
-      const totalAmount = subtotal  + deliveryCharges ;
-      const orderSummary = {
-        total,
-        discount:totalDiscount,
-        subtotal,
-        deliveryCharges,
-        totalPrice:totalAmount
-    }; 
+      const priced = await priceCart(cart, userId, query);
+      if (priced.error) {
+          return res.status(priced.status).json({ success: false, message: priced.error });
+      }
     return res.status(200).json({
       success:true,
       message:"here is your all data", 
       cart,
-      orderSummary
+      orderSummary: priced.summary,
+      couponError: priced.couponError,
+      shipping: priced.shipping.rule,
+      shippingOptions: priced.shippingOptions,
+      cod: priced.cod
        });
   } catch (error) {
     return res.status(500).json({
@@ -133,7 +200,7 @@ const getcart = async (req, res) => {
 const deleteFromCart = async (req, res) => {
   try {
     const userId = req.userId;
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).send({
         success: false,
@@ -143,7 +210,7 @@ const deleteFromCart = async (req, res) => {
     let cart = await Cart.findOne({ userId });
     if (cart) {
       cart.cartItems = cart.cartItems.filter(item =>
-          !(item.productId.toString() === productId)
+          !isSameLine(item, productId, variantId)
       );
       cart = await cart.save();
       return res.status(200).json({ success: true, message: "User item remove from cart sucessfully" });
@@ -168,7 +235,7 @@ const updateItemQuantity = async (req, res) => {
         });
       }
       const userId = req.userId;
-      const { productId, action } = req.body;
+      const { productId, variantId, action } = req.body;
       if(!mongoose.Types.ObjectId.isValid(productId)){
           return res.status(400).json({ success: false, message: "Invalid item ID" });
       }
@@ -180,7 +247,7 @@ const updateItemQuantity = async (req, res) => {
           return res.status(400).json({ success: false, message: 'Cart not found' });
       }
       const itemIndex = cart.cartItems.findIndex(
-          item => item.productId.toString() === productId
+          item => isSameLine(item, productId, variantId)
       );
       if (itemIndex === -1) {
           return res.status(400).json({ success: false, message: 'Item not found in cart' });
@@ -235,4 +302,54 @@ const  deleteCartController =async(req,res)=>{
   }
 }
 
-module.exports ={addToCart,getcart,deleteFromCart,updateItemQuantity,deleteCartController}
\ No newline at end of file
+// Applies a coupon to the cart after checking it against the current items
+const applyCoupon = async (req, res) => {
+  try {
+      const { error, value } = applyCouponSchema.validate(req.body);
+      if (error) {
+          return res.status(400).json({ success: false, message: error.details[0].message });
+      }
+      const userId = req.userId;
+      const cart = await Cart.findOne({ userId }).populate('cartItems.productId', CART_PRODUCT_FIELDS);
+      if (!cart || cart.cartItems.length === 0) {
+          return res.status(400).json({ success: false, message: 'Your cart is empty' });
+      }
+
+      const priced = await priceCart(cart, userId, { couponCode: value.code });
+      if (priced.error || priced.couponError) {
+          return res.status(400).json({ success: false, message: priced.error || priced.couponError });
+      }
+
+      cart.couponCode = priced.summary.couponCode;
+      await cart.save();
+      return res.status(200).json({
+          success: true,
+          message: 'Coupon applied successfully',
+          orderSummary: priced.summary
+      });
+  } catch (error) {
+      return res.status(500).json({
+          success: false,
+          message: error.message.toString(),
+      });
+  }
+}
+
+const removeCoupon = async (req, res) => {
+  try {
+      const cart = await Cart.findOne({ userId: req.userId });
+      if (!cart) {
+          return res.status(404).json({ success: false, message: 'Cart not found' });
+      }
+      cart.couponCode = undefined;
+      await cart.save();
+      return res.status(200).json({ success: true, message: 'Coupon removed successfully' });
+  } catch (error) {
+      return res.status(500).json({
+          success: false,
+          message: error.message.toString(),
+      });
+  }
+}
+
+module.exports ={addToCart,getcart,deleteFromCart,updateItemQuantity,deleteCartController,applyCoupon,removeCoupon}
\ No newline at end of file
@@ -9,7 +9,7 @@ async function createCategory(req, res) {
     const data = req.body;
     const { error } = categoryValidationSchema.validate(data);
     if (error) {
-      res.status(400).json({ message: error.details[0].message });
+      return res.status(400).json({ message: error.details[0].message });
     }
     const existCategory = await Category.findOne({ name: req.body.name });
     if (existCategory) {
@@ -82,7 +82,7 @@ async function updateCategory(req, res) {
     const { error } = categoryValidationSchema.validate(categoryData);
 
     if (error) {
-      res.status(400).json({ message: error.details[0].message });
+      return res.status(400).json({ message: error.details[0].message });
     }
 
     // Check if the category name already exists
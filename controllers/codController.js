@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const CodBlocklist = require("../models/codBlocklist");
+const { recordRefusal } = require("../services/codService");
+const { issuePurchasedGiftCards } = require("../services/giftCardService");
+const { cancelOrder } = require("../services/orderService");
+const { codStatusSchema, codBlockSchema } = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Statuses a delivery can be refused in: the order is with the courier
+const REFUSABLE_STATUSES = Object.keys(Order.TRANSITIONS).filter((status) =>
+  Order.TRANSITIONS[status].includes("RTO")
+);
+// Statuses cash can be collected in: with the courier or delivered
+const COLLECTABLE_STATUSES = [...REFUSABLE_STATUSES, "delivered"];
+
+// Records whether the cash of a COD order was collected or the delivery was
+// refused. Each order is settled once; collected cash issues the gift cards
+// bought with the order. A refused order is closed as RTO together with the
+// refusal, which restocks it and refunds any gift card or store credit used;
+// only then does the refusal count towards the user's COD blocklist.
+async function updateCodStatus(req, res) {
+  try {
+    const orderId = req.params.id;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const { error, value } = codStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const refused = value.status === "refused";
+    // Only a pending COD order matches, so a delivery is never settled twice
+    const filter = {
+      _id: orderId,
+      paymentMethod: "COD",
+      "cod.status": "pending",
+      status: { $in: refused ? REFUSABLE_STATUSES : COLLECTABLE_STATUSES },
+    };
+    const update = {
+      "cod.status": value.status,
+      "cod.updatedBy": req.userId,
+      "cod.note": value.note,
+    };
+    let order;
+    if (refused) {
+      update.paymentStatus = "failed";
+      order = await Order.findOne(filter);
+    } else {
+      update["cod.collectedAt"] = new Date();
+      update.paymentStatus = "paid";
+      update.paidAt = update["cod.collectedAt"];
+      // The version bump makes a concurrent refusal's save fail
+      order = await Order.findOneAndUpdate(
+        filter,
+        { $set: update, $inc: { __v: 1 } },
+        { new: true }
+      );
+    }
+    if (!order) {
+      const exists = await Order.findById(orderId, "paymentMethod cod status");
+      if (!exists) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+      const message =
+        exists.paymentMethod !== "COD"
+          ? "This order is not a cash on delivery order"
+          : exists.cod.status !== "pending"
+          ? `COD for this order is already ${exists.cod.status}`
+          : Order.CLOSED_STATUSES.includes(exists.status)
+          ? "This order has been cancelled"
+          : refused
+          ? "Only an order out for delivery can be refused"
+          : "Cash can only be collected for an order out for delivery or delivered";
+      return res.status(400).json({ success: false, message });
+    }
+
+    if (!refused) {
+      await issuePurchasedGiftCards(order._id);
+      return res.status(200).json({
+        success: true,
+        message: "COD marked as collected",
+        cod: order.cod,
+      });
+    }
+
+    // Saved by cancelOrder along with the RTO status, or not at all
+    order.set(update);
+    const result = await cancelOrder(order, {
+      actor: "admin",
+      changedBy: req.userId,
+      reason: value.note || "COD delivery refused",
+      status: "RTO",
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    const codRecord = await recordRefusal(order.userId);
+    return res.status(200).json({
+      success: true,
+      message: "COD marked as refused",
+      cod: order.cod,
+      codRecord,
+      refunds: result.refunds,
+    });
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Order was updated in the meantime, please retry" });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getCodBlocklist(req, res) {
+  try {
+    const filter = req.query.all === "true" ? {} : { blocked: true };
+    const records = await CodBlocklist.find(filter)
+      .populate("userId", "name email mobile")
+      .sort({ updatedAt: -1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: records.length,
+      record: records,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function blockCodUser(req, res) {
+  try {
+    const { error, value } = codBlockSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const record = await CodBlocklist.findOneAndUpdate(
+      { userId: value.userId },
+      {
+        $set: {
+          blocked: true,
+          reason: value.reason,
+          blockedAt: new Date(),
+          blockedBy: req.userId,
+        },
+      },
+      { new: true, upsert: true }
+    );
+    return res.status(200).json({ message: "COD blocked for the user", record });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Lifts the block and starts the refusal count again
+async function unblockCodUser(req, res) {
+  try {
+    const userId = req.params.userId;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+
+    const record = await CodBlocklist.findOneAndUpdate(
+      { userId },
+      {
+        $set: { blocked: false, refusals: 0 },
+        $unset: { reason: 1, blockedAt: 1, blockedBy: 1 },
+      },
+      { new: true }
+    );
+    if (!record) {
+      return res.status(404).json({ success: false, message: "User is not on the COD blocklist" });
+    }
+    return res.status(200).json({ message: "COD unblocked for the user", record });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  updateCodStatus,
+  getCodBlocklist,
+  blockCodUser,
+  unblockCodUser,
+};
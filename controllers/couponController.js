@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const { couponSchema } = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+async function createCoupon(req, res) {
+  try {
+    const { error, value } = couponSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const coupon = await Coupon.create(value);
+    return res.status(201).json({ message: "Coupon created successfully", record: coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(422).json({ success: false, message: "Coupon code already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getAllCoupons(req, res) {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: coupons.length,
+      record: coupons,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getSingleCoupon(req, res) {
+  try {
+    const couponId = req.params._id;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+    return res.status(200).json({ message: "record fetched successfully", record: coupon });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Coupons are replaced as a whole; the redemption count is kept
+async function updateCoupon(req, res) {
+  try {
+    const couponId = req.params._id;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID" });
+    }
+
+    const { error, value } = couponSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+    coupon.set({
+      value: undefined,
+      maxDiscount: undefined,
+      buyQuantity: undefined,
+      getQuantity: undefined,
+      startsAt: undefined,
+      endsAt: undefined,
+      usageLimit: undefined,
+      ...value,
+    });
+    const savedCoupon = await coupon.save();
+
+    return res.status(200).json({ message: "Coupon updated successfully", record: savedCoupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(422).json({ success: false, message: "Coupon code already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Redeemed coupons are only deactivated, so past orders keep their reference
+async function deleteCoupon(req, res) {
+  try {
+    const couponId = req.params._id;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.active = false;
+      await coupon.save();
+      return res.status(200).json({ message: "Coupon has been used and was deactivated instead" });
+    }
+    await coupon.deleteOne();
+    return res.status(200).json({ message: "Coupon deleted successfully" });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  createCoupon,
+  getAllCoupons,
+  getSingleCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
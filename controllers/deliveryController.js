@@ -0,0 +1,69 @@
+const { pincodeSchema } = require("../validations/validation");
+const {
+  checkServiceability,
+  parsePincodeCsv,
+  importPincodes,
+} = require("../services/deliveryService");
+
+// Public: do we deliver to this pincode, and by when?
+const checkPincode = async (req, res) => {
+  try {
+    const { error, value: pincode } = pincodeSchema.validate(req.params.pincode);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const serviceability = await checkServiceability(pincode);
+    return res.status(200).send({
+      success: true,
+      message: serviceability.serviceable
+        ? "Delivery available"
+        : "Delivery is not available for this pincode",
+      data: serviceability,
+    });
+  } catch (error) {
+    return res.status(500).send({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// Admin: upload a CSV of serviceable pincodes. Nothing is imported unless
+// every row is valid.
+const uploadPincodes = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).send({
+        success: false,
+        message: "Please upload a CSV file",
+      });
+    }
+
+    const { error, errors, rows } = parsePincodeCsv(req.file.buffer.toString("utf8"));
+    if (error || errors) {
+      return res.status(400).send({
+        success: false,
+        message: error || "Some rows are invalid, nothing was imported",
+        errors: errors ? errors.slice(0, 100) : undefined,
+      });
+    }
+
+    const { created, updated } = await importPincodes(rows);
+    return res.status(200).send({
+      success: true,
+      message: "Pincodes imported successfully",
+      data: { total: rows.length, created, updated },
+    });
+  } catch (error) {
+    return res.status(500).send({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+module.exports = { checkPincode, uploadPincodes };
@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const GiftCard = require("../models/giftCard");
+const {
+  findGiftCard,
+  describeGiftCard,
+  formatCode,
+  issueGiftCards,
+} = require("../services/giftCardService");
+const {
+  giftCardIssueSchema,
+  giftCardCheckSchema,
+  giftCardStatusSchema,
+  giftCardListQuerySchema,
+} = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Balance of a gift card by its code. Unknown and disabled codes get the same
+// answer, so the endpoint tells nothing about which codes exist; only those
+// count towards the lookup limit.
+async function checkGiftCardBalance(req, res) {
+  try {
+    const { error, value } = giftCardCheckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const card = await findGiftCard(value.code);
+    if (!card || card.status !== "active") {
+      req.rateLimitFailed = true;
+      return res.status(404).json({ success: false, message: "Invalid gift card code" });
+    }
+    return res.status(200).json({ success: true, giftCard: describeGiftCard(card) });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Gift cards the user bought, with their codes to pass on
+async function getMyGiftCards(req, res) {
+  try {
+    const cards = await GiftCard.find({ purchasedBy: req.userId }).sort({ createdAt: -1 });
+    return res.status(200).json({
+      success: true,
+      count: cards.length,
+      giftCards: cards.map((card) => ({
+        ...describeGiftCard(card, { showCode: true }),
+        orderId: card.orderId,
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getGiftCards(req, res) {
+  try {
+    const { error, value: query } = giftCardListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.source) filter.source = query.source;
+    if (query.batchId) filter.batchId = query.batchId;
+    if (query.orderId) filter.orderId = query.orderId;
+
+    const [total, cards] = await Promise.all([
+      GiftCard.countDocuments(filter),
+      GiftCard.find(filter, "-code")
+        .populate("purchasedBy", "name email mobile")
+        .sort({ createdAt: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit),
+    ]);
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: cards.length,
+      record: cards,
+      pagination: {
+        total,
+        page: query.page,
+        limit: query.limit,
+        totalPages: Math.ceil(total / query.limit),
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Issues a batch of gift cards, e.g. for a promotion or a corporate order.
+// The codes are only shown in this response.
+async function issueGiftCardBatch(req, res) {
+  try {
+    const { error, value } = giftCardIssueSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const cards = await issueGiftCards({ ...value, issuedBy: req.userId });
+    return res.status(201).json({
+      message: "Gift cards issued successfully",
+      batchId: cards[0].batchId,
+      count: cards.length,
+      record: cards.map((card) => ({
+        _id: card._id,
+        code: formatCode(card.code),
+        value: card.initialValue,
+        expiresAt: card.expiresAt,
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Disables a gift card (e.g. a lost or misused one) or enables it again
+async function updateGiftCardStatus(req, res) {
+  try {
+    const cardId = req.params._id;
+    if (!isValidObjectId(cardId)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card ID" });
+    }
+    const { error, value } = giftCardStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    // The admin's choice stands, so a cancellation in progress won't undo it
+    const card = await GiftCard.findByIdAndUpdate(
+      cardId,
+      { $set: value, $unset: { disabledForOrder: 1 } },
+      { new: true }
+    ).select("-code");
+    if (!card) {
+      return res.status(404).json({ success: false, message: "Gift card not found" });
+    }
+    return res.status(200).json({ message: `Gift card ${value.status}`, record: card });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  checkGiftCardBalance,
+  getMyGiftCards,
+  getGiftCards,
+  issueGiftCardBatch,
+  updateGiftCardStatus,
+};
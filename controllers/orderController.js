@@ -1,157 +1,303 @@
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
-const Address = require("../models/userAddress");
-const Product = require("../models/Product");
-const { JoiOrderSchema } = require("../validations/validation");
+const Cart = require("../models/Cart");
+const admin = require("../models/admin");
+const {
+  JoiOrderSchema,
+  checkoutSchema,
+  updateOrderStatusSchema,
+  cancelOrderSchema,
+  orderListQuerySchema,
+  orderExportQuerySchema
+} = require("../validations/validation");
+const { placeOrder, cancelOrder } = require("../services/orderService");
+const {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require("../services/invoiceService");
+const {
+  buildOrderFilter,
+  buildOrderSort,
+  countByStatus,
+  withLegacyItemDetails
+} = require("../services/orderQueryService");
+const { exportOrders } = require("../services/orderExportService");
+const { describeIntent } = require("../services/paymentIntentService");
+const { refundsByOrder } = require("../services/refundService");
 
 // Joi validation schemas
 
 const createOrder = async (req, res) => {
   try {
       // Validate request body
-      const { error } = JoiOrderSchema.validate(req.body);
+      const { error, value } = JoiOrderSchema.validate(req.body);
       if (error) {
         return res.status(400).send({
           success: false,
           message: error.details[0].message
         });
       }
-  
-
 
     const userId = req.userId;
-    const { addressId, products } = req.body;
+    const { addressId, billingAddressId, shippingMethod, couponCode, paymentMethod, giftCardCode, useWallet, products } = value;
 
-    if (!mongoose.Types.ObjectId.isValid(addressId)) {
-      return res.status(400).send({
+    const result = await placeOrder({
+      userId,
+      addressId,
+      billingAddressId,
+      shippingMethod,
+      couponCode,
+      paymentMethod,
+      giftCardCode,
+      useWallet,
+      items: products
+    });
+    // A refused gift card code counts towards the lookup limit
+    req.rateLimitFailed = result.giftCardLookupFailed;
+    if (result.error) {
+      return res.status(result.status).send({
         success: false,
-        message: "address id not valid"
+        message: result.error
       });
     }
 
-    const address = await Address.findById(addressId);
-    if (!address) {
-      return res.status(401).send({
+    return res.status(200).json({
+      success: true,
+      message: "Order placed successfully",
+      orderId: result.order._id,
+      orderNumber: result.order.orderNumber,
+      orderSummary: result.summary,
+      deliveryEstimate: result.delivery.eta,
+      payment: result.paymentIntent ? await describeIntent(result.paymentIntent) : undefined
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "error in creating the order",
+      error:error.message
+    });
+  }
+};
+
+// Turns the user's server-side cart into an order and empties the cart
+const checkout = async (req, res) => {
+  try {
+    const { error, value } = checkoutSchema.validate(req.body);
+    if (error) {
+      return res.status(400).send({
         success: false,
-        message: "Address is not found"
+        message: error.details[0].message
       });
     }
 
-    let orderItems = [];
-    let totalPrice = 0;
-
-    if (Array.isArray(products) && products.length > 0) {
-      for (const productData of products) {
-        const { productId, quantity } = productData;
-        if (!mongoose.Types.ObjectId.isValid(productId)) {
-          return res.status(400).send({
-            success: false,
-            message: "product id is not valid "
-          });
-        }
-
-        const product = await Product.findById(productId);
-
-        if (!product) {
-          return res.status(400).send({
-            success: false,
-            message: "Product is not available"
-          });
-        }
-        if (product.quantity < quantity) {
-          return res.status(401).send({
-            success: false,
-            message: "Stock not available"
-          });
-        }
-        totalPrice += product.finalPrice*quantity;
-        orderItems.push({ productId, quantity });
-      }
-    }
+    const userId = req.userId;
+    const { addressId, billingAddressId, shippingMethod, paymentMethod, giftCardCode, useWallet } = value;
 
+    const cart = await Cart.findOne({ userId });
+    const items = cart ? cart.cartItems.filter((item) => item.quantity > 0) : [];
+    if (items.length === 0) {
+      return res.status(400).send({
+        success: false,
+        message: "Your cart is empty"
+      });
+    }
 
-  
-    const order = new Order({
+    const result = await placeOrder({
       userId,
-      orderItems,
-      address: addressId,
-      totalPrice
+      addressId,
+      billingAddressId,
+      shippingMethod,
+      couponCode: cart.couponCode,
+      paymentMethod,
+      giftCardCode,
+      useWallet,
+      items
     });
-    await order.save();
-
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { quantity: -item.quantity }
+    // A refused gift card code counts towards the lookup limit
+    req.rateLimitFailed = result.giftCardLookupFailed;
+    if (result.error) {
+      return res.status(result.status).send({
+        success: false,
+        message: result.error
       });
     }
 
-   
+    // The order stands even if the cart can't be emptied; the customer can
+    // clear it themselves
+    try {
+      cart.cartItems = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    } catch (error) {
+      console.error("Error emptying the cart after checkout:", error);
+    }
+
     return res.status(200).json({
       success: true,
       message: "Order placed successfully",
+      orderId: result.order._id,
+      orderNumber: result.order.orderNumber,
+      orderSummary: result.summary,
+      deliveryEstimate: result.delivery.eta,
+      payment: result.paymentIntent ? await describeIntent(result.paymentIntent) : undefined
     });
-
   } catch (error) {
     return res.status(500).json({
       success: false,
-      message: "error in creating the order",
-      error:error.message
+      message: "error in checking out the cart",
+      error: error.message
     });
   }
 };
 
-const getAllOrder = async (req, res) => {
+// admin order listing with filters, sorting, pagination and per-status counts.
+// `legacyKeys` ({ list, count }) also sends the orders and their count under
+// the names an older endpoint used, for clients that still read them.
+const sendOrderList = async (req, res, legacyKeys) => {
   try {
+    const { error, value: query } = orderListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message
+      });
+    }
 
-    const getAllData = await Order.find({})
-         .populate({
-          path:"orderItems.productId",
-          select:'name images  -_id'
-         })
-         .populate({
+    const built = await buildOrderFilter(query, req.query);
+    if (built.error) {
+      return res.status(400).send({
+        success: false,
+        message: built.error
+      });
+    }
+    const filter = { ...built.filter, ...built.statusFilter };
+
+    const [total, statusCounts, orders] = await Promise.all([
+      Order.countDocuments(filter),
+      countByStatus(built.filter),
+      Order.find(filter)
+        .populate({
           path:"address",
           select:"name mobile email Pincode Landmark district state   -_id"
-
-         })
-
+        })
+        .sort(buildOrderSort(query))
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+        .lean()
+    ]);
+
+    await withLegacyItemDetails(orders);
     return res.status(200).json({
       success: true,
       message: "Here is your all order",
-      total: getAllData.length,
-      getAllData
+      data: orders,
+      statusCounts,
+      pagination: {
+        total,
+        page: query.page,
+        limit: query.limit,
+        totalPages: Math.ceil(total / query.limit)
+      },
+      ...(legacyKeys && { [legacyKeys.count]: total, [legacyKeys.list]: orders })
     });
-
   } catch (error) {
     return res.status(500).json({
       success: false,
       message: "error in fetching all orders",
-      error
+      error: error.message
     });
   }
 };
 
+const listOrders = (req, res) => sendOrderList(req, res);
+
+// the listing as the old "all orders" and "new orders" endpoints sent it
+const getAllOrder = (req, res) =>
+  sendOrderList(req, res, { list: "getAllData", count: "total" });
+const getNewOrder = (req, res) =>
+  sendOrderList(req, res, { list: "recentOrder", count: "totalOrder" });
+
+// admin export of the orders matching the listing filters, one row per order line
+const exportOrderList = async (req, res) => {
+  try {
+    const { error, value: query } = orderExportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const built = await buildOrderFilter(query, req.query);
+    if (built.error) {
+      return res.status(400).send({
+        success: false,
+        message: built.error
+      });
+    }
+
+    const fileName = `orders-${new Date().toISOString().slice(0, 10)}.${query.format}`;
+    res.setHeader(
+      "Content-Type",
+      query.format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    await exportOrders({
+      filter: { ...built.filter, ...built.statusFilter },
+      sort: buildOrderSort(query),
+      format: query.format,
+      stream: res
+    });
+  } catch (error) {
+    // Once streaming has started the status line is gone; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).send({
+      success: false,
+      message: "error in exporting the orders",
+      error: error.message
+    });
+  }
+};
+
+// today's orders, through the same listing
+const getRecentOrder = (req, res) => {
+  const startDay = new Date();
+  startDay.setHours(0, 0, 0, 0);
+  req.query.from = startDay.toISOString();
+  delete req.query.to;
+  return sendOrderList(req, res, { list: "myData", count: "TotalTodayOrder" });
+};
+
 const getmyOrder = async (req, res) => {
   try {
     const userId = req.userId;
     const orders = await Order.find({ userId })
-      .populate('orderItems.productId')
-      .populate({
-        path: 'orderItems.productId',
-        select: "name color brand size -_id"
-      });
+      .select("-statusHistory.changedBy")
+      .sort({ createdAt: -1 });
 
-    if (!orders.length == 0) {
+    if (orders.length === 0) {
       return res.status(400).send({
         success: false,
         message: "No orders found for the user"
       });
     }
 
+    const refunds = await refundsByOrder(orders.map((order) => order._id));
     return res.status(200).send({
       success: true,
       message: "Here are all your orders",
       total: orders.length,
-      orders
+      orders: orders.map((order) => ({
+        ...order.toObject(),
+        refunds: refunds.get(order._id.toString()) || []
+      }))
     });
   } catch (error) {
     return res.status(500).json({
@@ -169,8 +315,15 @@ const getmyOrder = async (req, res) => {
 const updateOrder = async (req, res) => {
   try {
     const id = req.params.id;
-   
-    const { status } = req.body;
+
+    const { error } = updateOrderStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    const { status, note } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -179,7 +332,7 @@ const updateOrder = async (req, res) => {
       });
     }
 
-    const data = await Order.findByIdAndUpdate(id, { status }, { new: true });
+    const data = await Order.findById(id);
 
     if (!data) {
       return res.status(400).send({
@@ -188,12 +341,52 @@ const updateOrder = async (req, res) => {
       });
     }
 
+    const allowedStatuses = Order.TRANSITIONS[data.status];
+
+    // Cancelling, or taking back a refused delivery, also puts the stock
+    // back and flags payments for refund
+    if (Order.CLOSED_STATUSES.includes(status)) {
+      const result = await cancelOrder(data, {
+        actor: "admin",
+        changedBy: req.userId,
+        reason: note,
+        status
+      });
+      if (result.error) {
+        return res.status(result.status).send({
+          success: false,
+          message: result.error,
+          allowedStatuses
+        });
+      }
+    } else {
+      const transitionError = data.changeStatus(status, {
+        actor: "admin",
+        changedBy: req.userId,
+        note
+      });
+      if (transitionError) {
+        return res.status(400).send({
+          success: false,
+          message: transitionError,
+          allowedStatuses
+        });
+      }
+      await data.save();
+    }
+
     return res.status(200).send({
       success: true,
       message: "Order updated successfully",
       data
     });
   } catch (error) {
+    if (error.name === "VersionError") {
+      return res.status(409).send({
+        success: false,
+        message: "Order was updated by someone else, please retry"
+      });
+    }
     return res.status(400).send({
       success: false,
       message: "error in updating the order",
@@ -201,78 +394,71 @@ const updateOrder = async (req, res) => {
     });
   }
 };
-//new order controller 
-
-const newOrder = async(req,res)=>{
-  try{
-    const recentOrder = await Order.find({}).populate({
-      path:"orderItems.productId",
-      select:'name images  -_id'
-     })
-     .populate({
-      path:"address",
-      select:"name mobile email Pincode Landmark district state   -_id"
-     })
-    .sort({createdAt:-1})
-    return res.status(200).send({
-      success:true,
-      message:"here is your all recent data",
-      totalOrder:recentOrder.length,
-      recentOrder
-    })
+// customer cancels their own order before it ships
+const cancelMyOrder = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID"
+      });
+    }
 
-  }catch(error){
-    return res.status(500).send({
-      success:false,
-      message:"error in finding the recent order "
-    })
-  }
-}
+    const { error } = cancelOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).send({
+        success: false,
+        message: error.details[0].message
+      });
+    }
 
-//get recent order 
+    const order = await Order.findById(id);
+    if (!order || order.userId.toString() !== req.userId) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found"
+      });
+    }
+    if (!order.canTransitionTo("cancelled")) {
+      return res.status(400).send({
+        success: false,
+        message: "Order can no longer be cancelled"
+      });
+    }
 
-const  getRecentOrder = async(req,res)=>{
-  try{
-    //same day ka data chahiye bs jisko date.now()se match kara ka dena hai
-    const todayDate = new Date()
-    const startDay =new Date(todayDate.setHours(0,0,0))
-    const EndofDay =new Date(todayDate.setHours(23,59,59,999))
-
-    const myData =await Order.find({
-      createdAt:{
-        $gte:startDay,
-        $lte:EndofDay
-      }
-    }).populate({
-      path:"orderItems.productId",
-      select:'name images  -_id'
-     })
-     .populate({
-      path:"address",
-      select:"name mobile email Pincode Landmark district state   -_id"
-
-     })
-  
-    if(!myData){
-      return res.status(500).send({
-        success:false,
-        message:"No order avialable for today"
-      })
+    const result = await cancelOrder(order, {
+      actor: "customer",
+      changedBy: req.userId,
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(result.status).send({
+        success: false,
+        message: result.error
+      });
     }
+
     return res.status(200).send({
-      success:true,
-      message:"your all data run successfully",
-      TotalTodayOrder:myData.length,
-      myData
-    }) 
-  }catch(error){
+      success: true,
+      message: "Order cancelled successfully",
+      refunds: result.refunds
+    });
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return res.status(409).send({
+        success: false,
+        message: "Order was updated in the meantime, please retry"
+      });
+    }
     return res.status(500).send({
-      success:false,
-      message:"error in getting the recent order",
-      error:error.message
-    })
+      success: false,
+      message: "error in cancelling the order",
+      error: error.message
+    });
   }
-}
+};
+
 const deleteSingleOrder =async(req,res)=>{
   try{
     const id =req.params._id;
@@ -302,23 +488,19 @@ const deleteSingleOrder =async(req,res)=>{
 
 const getUserSingleOrder =async(req,res)=>{
   try{
+    // support looks orders up by their number (PB-2026-000123) as well as by id
     const  id = req.params._id
-    if(!mongoose.Types.ObjectId.isValid(id)){
-      return res.status(400).send({
-        success:false,
-        message:"this id is not valid"
-      })
-    }
+    const query = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { orderNumber: id }
 
-  let getsingleData = await Order.findById(id)
-   .populate({
-    path:"orderItems.productId",
-    select:'name images  -_id'
-   })
+  let getsingleData = await Order.findOne(query)
    .populate({
     path:"address",
     select:"name mobile email Pincode Landmark district state   -_id"
    })
+   .lean()
+  if (getsingleData) {
+    await withLegacyItemDetails([getsingleData])
+  }
 
     return res.status(200).send({
      success:true,
@@ -333,7 +515,43 @@ const getUserSingleOrder =async(req,res)=>{
   })
 }
 }
-module.exports = { createOrder,
-   getAllOrder, getmyOrder, updateOrder,newOrder,
-   getRecentOrder,deleteSingleOrder,getUserSingleOrder
+// invoice of an order as HTML, or as PDF with ?format=pdf
+const getInvoice = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).send({
+        success: false,
+        message: "this id is not valid"
+      });
+    }
+
+    const order = await Order.findById(id).populate("address");
+    const isAdmin = await admin.exists({ _id: req.userId, isAdmin: true });
+    if (!order || (!isAdmin && order.userId.toString() !== req.userId)) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    const invoice = await buildInvoice(order);
+    if (req.query.format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+      return renderInvoicePdf(invoice, res);
+    }
+    return res.status(200).type("html").send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    return res.status(500).send({
+      success: false,
+      message: "error in generating the invoice",
+      error: error.message
+    });
+  }
+};
+
+module.exports = { createOrder, checkout, cancelMyOrder,
+   listOrders, getAllOrder, getNewOrder, exportOrderList, getmyOrder, updateOrder,
+   getRecentOrder,deleteSingleOrder,getUserSingleOrder,getInvoice
   };
@@ -1,39 +1,32 @@
 const Payment = require("../models/payment");
-const {paymentSchema} = require("../validations/validation");
+const PaymentIntent = require("../models/paymentIntent");
+const {
+  paymentSchema,
+  submitUtrSchema,
+  rejectPaymentSchema,
+  paymentMatchSchema,
+  paymentIntentQuerySchema,
+  mockPaymentSchema,
+  webhookEventQuerySchema
+} = require("../validations/validation");
+const {
+  describeIntent,
+  submitUtr,
+  confirmPaymentIntent,
+  rejectPaymentIntent,
+  matchPayments,
+  syncGatewayPayment
+} = require("../services/paymentIntentService");
+const { getGateway } = require("../services/gateways");
+const { receiveWebhook, processWebhookEvent } = require("../services/webhookService");
+const WebhookEvent = require("../models/webhookEvent");
+const { closeUnpaidOrder } = require("../services/orderService");
 const cloudinary = require("cloudinary").v2;
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require("mongoose");
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 const QRCode = require('qrcode');
 
-const generateTransactionId = () => {
-  const prefix = 'T';
-  const timestamp = Date.now().toString();
-  const uniquePart = Math.floor(100000 + Math.random() * 900000).toString(); 
-  return prefix + timestamp.slice(-6) + uniquePart; 
-};
-
-const generateUpiQrcode = async (req, res) => {
-  const { upiId, name, amount } = req.body;
-  if (!upiId || !name || !amount) {
-      return res.status(400).json({status:0 ,message: 'UPI ID, Name, and Amount are required' });
-  }
-
-  
-  const upiString = `upi://pay?pa=${encodeURIComponent(upiId)}&pn=${encodeURIComponent(name)}&am=${encodeURIComponent(amount)}&tr=${encodeURIComponent(Date.now().toString())}&cu=INR`;
-  const transactionId = generateTransactionId();
-  try {
-      const qrCodeData = await QRCode.toDataURL(upiString);
-      res.status(200).json({status:1 ,message:"Get payment payment methods" ,qrCode: qrCodeData, upiLink: upiString ,transactionId});
-  } catch (err) {
-      res.status(500).json({ error: 'Failed to generate QR code' });
-  }
-};
-
-
-
-
-
 const generateQrcode = async (req,res)=>{
   const { upiId, name, amount } = req.body;
     if (!upiId || !name || !amount) {
@@ -171,7 +164,320 @@ const deletePaymentType = async (req,res)=>{
     
   }
 
+// Payment intent of one of the customer's orders, with the UPI link and QR code
+const getOrderPayment = async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const intent = await PaymentIntent.findOne({ orderId, userId: req.userId });
+    if (!intent) {
+      return res.status(404).json({ success: false, message: "No payment found for this order" });
+    }
+    return res.status(200).json({
+      success: true,
+      message: "Payment fetched successfully",
+      payment: await describeIntent(intent)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// The customer tells us the UTR of the UPI transfer they made for their order
+const submitPaymentUtr = async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const { error, value } = submitUtrSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const intent = await PaymentIntent.findOne({ orderId, userId: req.userId });
+    if (!intent) {
+      return res.status(404).json({ success: false, message: "No payment found for this order" });
+    }
+    const result = await submitUtr(intent, value.utrNumber);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    return res.status(200).json({
+      success: true,
+      message: "UTR submitted, your payment will be confirmed shortly",
+      payment: await describeIntent(result.intent)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// Asks the payment gateway how the order's online payment stands, for when
+// the customer is back from checkout before the gateway's webhook arrives
+const syncOrderPayment = async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const intent = await PaymentIntent.findOne({ orderId, userId: req.userId });
+    if (!intent) {
+      return res.status(404).json({ success: false, message: "No payment found for this order" });
+    }
+
+    const result = await syncGatewayPayment(intent);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    if (result.outcome === "failed") {
+      await closeUnpaidOrder(result.intent, "Payment failed");
+    }
+    return res.status(200).json({
+      success: true,
+      message: `Payment is ${result.intent.status}`,
+      payment: await describeIntent(result.intent)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// Offline stand-in for the gateway's checkout page: makes the order's mock
+// payment succeed or fail, optionally with a delayed webhook. Not available in
+// production.
+const simulateMockPayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === "production") {
+      return res.status(404).json({ success: false, message: "Not found" });
+    }
+    const orderId = req.params.orderId;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const { error, value } = mockPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const intent = await PaymentIntent.findOne({ orderId, userId: req.userId, provider: "mock" });
+    if (!intent) {
+      return res.status(404).json({ success: false, message: "No mock payment found for this order" });
+    }
+    const payment = await getGateway("mock").simulate(intent.gatewayPaymentId, value);
+    return res.status(200).json({ success: true, message: `Mock payment ${payment.status}`, payment });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// admin listing of payment intents, e.g. ?status=submitted for the review queue
+const getPaymentIntents = async (req, res) => {
+  try {
+    const { error, value: query } = paymentIntentQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const filter = query.status ? { status: query.status } : {};
+    const [total, intents] = await Promise.all([
+      PaymentIntent.countDocuments(filter),
+      PaymentIntent.find(filter)
+        .populate("orderId", "orderNumber totalPrice status paymentStatus")
+        .sort({ createdAt: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+    return res.status(200).json({
+      success: true,
+      message: "Payments fetched successfully",
+      data: intents,
+      pagination: {
+        total,
+        page: query.page,
+        limit: query.limit,
+        totalPages: Math.ceil(total / query.limit)
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+const confirmPayment = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid payment ID" });
+    }
+    const result = await confirmPaymentIntent(id, { source: "admin", confirmedBy: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    return res.status(200).json({ success: true, message: "Payment confirmed", payment: result.intent });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// The UTR did not check out: the payment fails and the order is released
+const rejectPayment = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid payment ID" });
+    }
+    const { error, value } = rejectPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await rejectPaymentIntent(id, { reason: value.reason, confirmedBy: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    await closeUnpaidOrder(result.intent, `Payment failed: ${value.reason}`);
+    return res.status(200).json({ success: true, message: "Payment rejected", payment: result.intent });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// Automated matching of submitted UTRs against bank statement credits
+const matchPaymentCredits = async (req, res) => {
+  try {
+    const { error, value } = paymentMatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const { matched, unmatched } = await matchPayments(value.credits, { confirmedBy: req.userId });
+    return res.status(200).json({
+      success: true,
+      message: `${matched.length} payment(s) confirmed`,
+      matched,
+      unmatched
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+// Payment gateway callback. The gateway only needs a 2xx to stop retrying, so
+// duplicates are acknowledged too; a failed processing answers 500 so the
+// gateway sends the event again.
+const receivePaymentWebhook = async (req, res) => {
+  try {
+    const provider = req.params.provider;
+    const gateway = getGateway(provider);
+    const signature = gateway ? req.get(gateway.signatureHeader) : undefined;
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : undefined;
+    const result = await receiveWebhook(provider, { rawBody, signature });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    const { event, duplicate } = result;
+    return res.status(event.status === "failed" ? 500 : 200).json({
+      success: event.status !== "failed",
+      message: duplicate ? "Event already received" : `Event ${event.status}`
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// admin listing of stored webhook events, e.g. ?status=failed
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { error, value: query } = webhookEventQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const filter = {};
+    if (query.provider) filter.provider = query.provider;
+    if (query.status) filter.status = query.status;
+    if (query.type) filter.type = query.type;
+
+    const [total, events] = await Promise.all([
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.find(filter, "-rawBody")
+        .sort({ createdAt: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+    return res.status(200).json({
+      success: true,
+      message: "Webhook events fetched successfully",
+      data: events,
+      pagination: {
+        total,
+        page: query.page,
+        limit: query.limit,
+        totalPages: Math.ceil(total / query.limit)
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
+
+// Processes a stored webhook event again, e.g. after fixing what made it fail
+const replayWebhookEvent = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid event ID" });
+    }
+    const event = await WebhookEvent.findById(id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: "Webhook event not found" });
+    }
+    const replayed = await processWebhookEvent(event);
+    return res.status(200).json({
+      success: true,
+      message: `Event ${replayed.status}`,
+      event: replayed
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message.toString(),
+    });
+  }
+};
 
 module.exports = {
-  paymentType,getAllPaymentType,deletePaymentType,getPaymentType,generateUpiQrcode
+  paymentType,getAllPaymentType,deletePaymentType,getPaymentType,
+  getOrderPayment,submitPaymentUtr,getPaymentIntents,confirmPayment,rejectPayment,matchPaymentCredits,
+  syncOrderPayment,simulateMockPayment,receivePaymentWebhook,getWebhookEvents,replayWebhookEvent
 }
\ No newline at end of file
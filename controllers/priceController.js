@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const PriceChange = require("../models/priceChange");
+const PriceHistory = require("../models/priceHistory");
+const {
+  priceChangeSchema,
+  priceReportQuerySchema,
+} = require("../validations/validation");
+const { applyPriceChange, priceReport } = require("../services/priceService");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Schedules a price change; one that is already due is applied right away
+async function schedulePriceChange(req, res) {
+  try {
+    const productId = req.params._id;
+    if (!isValidObjectId(productId)) {
+      return res.status(400).json({ success: false, message: "Product ID is Invalid " });
+    }
+    const { error, value } = priceChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    if (!(await Product.exists({ _id: productId }))) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    let change = await PriceChange.create({
+      ...value,
+      productId,
+      createdBy: req.userId,
+    });
+    if (change.effectiveAt <= new Date()) {
+      change = (await applyPriceChange(change)) || change;
+    }
+
+    return res.status(201).json({
+      message:
+        change.status === "scheduled"
+          ? "Price change scheduled successfully"
+          : `Price change ${change.status}`,
+      record: change,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getPriceChanges(req, res) {
+  try {
+    const productId = req.params._id;
+    if (!isValidObjectId(productId)) {
+      return res.status(400).json({ success: false, message: "Product ID is Invalid " });
+    }
+    const changes = await PriceChange.find({ productId }).sort({ effectiveAt: -1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: changes.length,
+      record: changes,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Only changes that have not been applied yet can be cancelled
+async function cancelPriceChange(req, res) {
+  try {
+    const { _id: productId, changeId } = req.params;
+    if (!isValidObjectId(productId) || !isValidObjectId(changeId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Product or price change ID is Invalid" });
+    }
+
+    const change = await PriceChange.findOneAndUpdate(
+      { _id: changeId, productId, status: "scheduled" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!change) {
+      return res
+        .status(404)
+        .json({ success: false, message: "No scheduled price change found" });
+    }
+    return res.status(200).json({ message: "Price change cancelled", record: change });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getPriceHistory(req, res) {
+  try {
+    const productId = req.params._id;
+    if (!isValidObjectId(productId)) {
+      return res.status(400).json({ success: false, message: "Product ID is Invalid " });
+    }
+    const history = await PriceHistory.find({ productId }).sort({ changedAt: -1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: history.length,
+      record: history,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getPriceReport(req, res) {
+  try {
+    const { error, value } = priceReportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const report = await priceReport(value);
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: report.length,
+      record: report,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  schedulePriceChange,
+  getPriceChanges,
+  cancelPriceChange,
+  getPriceHistory,
+  getPriceReport,
+};
@@ -8,6 +8,19 @@ const {
   deleteMultipleImageFromCloudinary,
 } = require("../utils/cloudinary");
 const { productValidationSchema } = require("../validations/validation");
+const { hasVariants, withAvailability } = require("../services/variantService");
+const { activePromotions, withPromotions } = require("../services/promotionService");
+const {
+  discountPercent,
+  recordPrice,
+  pricesChanged,
+  lowestPriceInDays,
+} = require("../services/priceService");
+const {
+  getAttributeSchema,
+  validateAttributes,
+  collectProductAttributes,
+} = require("../services/attributeService");
 const mongoose = require("mongoose");
 
 //Helper function to validate ObjectId
@@ -22,7 +35,7 @@ async function createProduct(req, res) {
     }
 
     // Validate referenced IDs
-    const { category,subCategory,brand,footSize,size,basePrice,finalPrice,pantSize} = value;
+    const { category, subCategory, brand, basePrice, finalPrice } = value;
     if (
       !isValidObjectId(category) ||
       !isValidObjectId(subCategory) ||
@@ -32,126 +45,32 @@ async function createProduct(req, res) {
         .status(400)
         .json({ error: "Invalid category, subcategory, or brand ID" });
     }
-    
-    const discount = basePrice-finalPrice;
-    discountPrice = ((discount/basePrice)*100).toFixed();
-
 
-    const Data = await Category.findById(category)
-    const categoryName =Data.name
-
-    if(categoryName === "shoes"){
-        if(!footSize){
-          return res.status(400).send({
-            success:false,
-            message:"Foot size required"
-          })
-
-        }
-      
-    // Check for the files
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
-    }
-
-    // Collect local file paths
-    const localFilePaths = req.files.map((file) => file.path);
-   //console.log(localFilePaths, "localfilepaths");
-
-    // Upload images to Cloudinary
-    const uploadResults = await uploadMultipleImagesOnCloudinary(
-      localFilePaths
+    // Validate attributes against the category/subcategory attribute schema
+    const { error: schemaError, definitions } = await getAttributeSchema(
+      category,
+      subCategory
     );
-
-    // Check if any upload failed
-    if (uploadResults.some((result) => !result)) {
-      return res
-        .status(500)
-        .json({ error: "Failed to upload one or more images" });
-    }
-
-    // Create a new Product instance and save it
-    const newProduct = new Product({
-      
-      ...value,
-      discountPrice,
-      images: uploadResults.map((result) => result.secure_url),
-
-    });
-    const savedProduct = await newProduct.save();
-
-     return res.status(201).json({
-      message: "New Product Created Successfully",
-      record: savedProduct,
-    });
-  }
-
-  //check the condition 
-    else {
-      const SubData =await SubCategory.findById(subCategory)
-      const SubCategoryName = SubData.name
-
-      if(SubCategoryName ==="Shirt"){
-     // Check for the files
-      if(!size){
-      return res.status(400).send({
-        success:false,
-        message:"Shirt  Size is required"
-      })
-
-    }
-
-    //images file check 
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
+    if (schemaError) {
+      return res.status(400).send({ success: false, message: schemaError });
     }
-
-    // Collect local file paths
-    const localFilePaths = req.files.map((file) => file.path);
-    //console.log(localFilePaths, "localfilepaths");
-
-    // Upload images to Cloudinary
-    const uploadResults = await uploadMultipleImagesOnCloudinary(
-      localFilePaths
+    const { error: attributeError, attributes } = validateAttributes(
+      definitions,
+      collectProductAttributes(definitions, value)
     );
-
-    // Check if any upload failed
-    if (uploadResults.some((result) => !result)) {
-      return res
-        .status(500)
-        .json({ error: "Failed to upload one or more images" });
+    if (attributeError) {
+      return res.status(400).send({ success: false, message: attributeError });
     }
 
-    // Create a new Product instance and save it
-    const newProduct = new Product({
-      ...value,
-      discountPrice,
-      images: uploadResults.map((result) => result.secure_url),
-    });
-    const savedProduct = await newProduct.save();
+    const discountPrice = discountPercent(basePrice, finalPrice);
 
-     return res.status(201).json({
-      message: "New Product Created Successfully",
-      record: savedProduct,
-    });
-    }
-    
-    //pantsize subcategory 
-    else{
-      if(!pantSize){
-        return res.status(400).send({
-          success:false,
-          message:"pant size is required"
-        })
-      }
-       //images file check 
+    // Check for the files
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: "No files uploaded" });
     }
 
     // Collect local file paths
     const localFilePaths = req.files.map((file) => file.path);
-    //console.log(localFilePaths, "localfilepaths");
 
     // Upload images to Cloudinary
     const uploadResults = await uploadMultipleImagesOnCloudinary(
@@ -159,7 +78,10 @@ async function createProduct(req, res) {
     );
 
     // Check if any upload failed
-    if (uploadResults.some((result) => !result)) {
+    if (
+      uploadResults.length !== localFilePaths.length ||
+      uploadResults.some((result) => !result)
+    ) {
       return res
         .status(500)
         .json({ error: "Failed to upload one or more images" });
@@ -168,33 +90,27 @@ async function createProduct(req, res) {
     // Create a new Product instance and save it
     const newProduct = new Product({
       ...value,
+      attributes,
       discountPrice,
       images: uploadResults.map((result) => result.secure_url),
     });
     const savedProduct = await newProduct.save();
+    await recordPrice(savedProduct, { source: "create", changedBy: req.userId });
 
-     return res.status(201).json({
+    return res.status(201).json({
       message: "New Product Created Successfully",
       record: savedProduct,
     });
-    }
-  }
- 
-    
-}catch (error){  
+  } catch (error) {
     console.error("Error creating product:", error);
     // Duplicate entry error handling
-    if(error.code === 11000) {
+    if (error.code === 11000) {
       return res.status(422).json({ message: "Duplicate entry found" });
     }
     return res.status(500).json({ message: "Internal Server Error" });
   }
 }
 
-
-
-
-
 async function getProduct(req, res) {
   try {
     const {
@@ -301,11 +217,15 @@ async function getProduct(req, res) {
       .limit(Number(limit))
       .exec();
 
+    const promotions = await activePromotions();
+
     res.set("X-Total-Count", totalProducts);
 
     res.status(200).json({
       success: true,
-      data: products,
+      data: products.map((product) =>
+        withPromotions(withAvailability(product), promotions)
+      ),
       pagination: {
         total: totalProducts,
         page: Number(page),
@@ -359,11 +279,17 @@ async function getSingleProduct(req, res) {
       .populate({ path: "subCategory", select: "_id name" })
       .populate({ path: "brand", select: "_id name" });
     if (!product) {
-      res.status(404).json({ message: "Product not found" });
+      return res.status(404).json({ message: "Product not found" });
     }
+    const promotions = await activePromotions();
+    const record = withPromotions(withAvailability(product), promotions);
+    record.lowestPrice30Days = await lowestPriceInDays(product, 30);
     res
       .status(200)
-      .json({ message: "Single Record Fetched Successfully", record: product });
+      .json({
+        message: "Single Record Fetched Successfully",
+        record,
+      });
   } catch (error) {
     return res.status(500).json({ message: "Internal Server Error" });
   }
@@ -395,33 +321,68 @@ async function updateProduct(req, res) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    // Handle image updates
-    let updatedImages = [];
+    // Validate attributes against the category/subcategory attribute schema
+    const { error: schemaError, definitions } = await getAttributeSchema(
+      value.category,
+      value.subCategory
+    );
+    if (schemaError) {
+      return res.status(400).send({ success: false, message: schemaError });
+    }
+    const { error: attributeError, attributes } = validateAttributes(
+      definitions,
+      collectProductAttributes(definitions, value)
+    );
+    if (attributeError) {
+      return res.status(400).send({ success: false, message: attributeError });
+    }
+    value.attributes = attributes;
+
+    // Stock of a product sold by variant is managed on its variants
+    if (hasVariants(product)) {
+      delete value.quantity;
+    }
+
+    // New uploads replace the images; without any the product keeps its own
+    const oldImages = [...product.images];
+    let newImages = [];
     if (req.files && req.files.length > 0) {
-      // Upload new images to Cloudinary
       const uploadResults = await uploadMultipleImagesOnCloudinary(
         req.files.map((file) => file.path)
       );
-      updatedImages = uploadResults.map((result) => result.secure_url);
-
-      // Delete old images from Cloudinary
-      const publicIdsToDelete = getCloudinaryPublicIds(product.images);
-      await deleteMultipleImageFromCloudinary(publicIdsToDelete);
-      console.log("deleted old images from cloudinary");
+      newImages = uploadResults.map((result) => result.secure_url);
     }
 
-    // Update product fields
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { ...value, images: updatedImages },
-      { new: true }
-    );
+    value.discountPrice = discountPercent(value.basePrice, value.finalPrice);
+    const priceChanged = pricesChanged(product, value);
+
+    // Update product fields; saving runs the schema's price and variant checks
+    product.set({ ...value, images: newImages.length > 0 ? newImages : oldImages });
+    let updatedProduct;
+    try {
+      updatedProduct = await product.save();
+    } catch (error) {
+      if (newImages.length > 0) {
+        await deleteMultipleImageFromCloudinary(getCloudinaryPublicIds(newImages));
+      }
+      throw error;
+    }
+    // The old images go only once nothing points at them any more
+    if (newImages.length > 0) {
+      await deleteMultipleImageFromCloudinary(getCloudinaryPublicIds(oldImages));
+    }
+    if (priceChanged) {
+      await recordPrice(updatedProduct, { source: "update", changedBy: req.userId });
+    }
 
     return res.status(200).json({
       message: "Product updated successfully",
       record: updatedProduct,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error("Error updating product:", error);
     return res.status(500).json({ message: "Internal Server Error" });
   }
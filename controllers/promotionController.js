@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const Promotion = require("../models/Promotion");
+const { promotionSchema } = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+async function createPromotion(req, res) {
+  try {
+    const { error, value } = promotionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const promotion = await Promotion.create(value);
+    return res
+      .status(201)
+      .json({ message: "Promotion created successfully", record: promotion });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// ?status=running|scheduled|ended narrows the list by schedule
+async function getAllPromotions(req, res) {
+  try {
+    const now = new Date();
+    const filter = {};
+    if (req.query.status === "running") {
+      Object.assign(filter, { startsAt: { $lte: now }, endsAt: { $gte: now } });
+    } else if (req.query.status === "scheduled") {
+      filter.startsAt = { $gt: now };
+    } else if (req.query.status === "ended") {
+      filter.endsAt = { $lt: now };
+    }
+
+    const promotions = await Promotion.find(filter).sort({ startsAt: -1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: promotions.length,
+      record: promotions,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getSinglePromotion(req, res) {
+  try {
+    const promotionId = req.params._id;
+    if (!isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    }
+    return res.status(200).json({ message: "record fetched successfully", record: promotion });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Promotions are replaced as a whole, so the body is validated like a new one
+async function updatePromotion(req, res) {
+  try {
+    const promotionId = req.params._id;
+    if (!isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion ID" });
+    }
+
+    const { error, value } = promotionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    }
+    promotion.set({ maxDiscount: undefined, ...value });
+    const savedPromotion = await promotion.save();
+
+    return res
+      .status(200)
+      .json({ message: "Promotion updated successfully", record: savedPromotion });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function deletePromotion(req, res) {
+  try {
+    const promotionId = req.params._id;
+    if (!isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findByIdAndDelete(promotionId);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    }
+    return res.status(200).json({ message: "Promotion deleted successfully" });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getSinglePromotion,
+  updatePromotion,
+  deletePromotion,
+};
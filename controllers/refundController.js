@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Refund = require("../models/refund");
+const { createRefund, settleRefund } = require("../services/refundService");
+const {
+  refundSchema,
+  settleRefundSchema,
+  refundListQuerySchema,
+} = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+async function getRefunds(req, res) {
+  try {
+    const { error, value: query } = refundListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.method) filter.method = query.method;
+    if (query.orderId) filter.orderId = query.orderId;
+
+    const [total, refunds] = await Promise.all([
+      Refund.countDocuments(filter),
+      Refund.find(filter)
+        .populate("orderId", "orderNumber totalPrice paymentMethod")
+        .populate("userId", "name email mobile")
+        .sort({ createdAt: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit),
+    ]);
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: refunds.length,
+      record: refunds,
+      pagination: {
+        total,
+        page: query.page,
+        limit: query.limit,
+        totalPages: Math.ceil(total / query.limit),
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Refund outside a cancellation or return, e.g. a goodwill partial refund
+async function createManualRefund(req, res) {
+  try {
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const order = await Order.findById(value.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    const result = await createRefund(order, {
+      amount: value.amount,
+      method: value.method,
+      source: "manual",
+      note: value.note,
+      createdBy: req.userId,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    return res.status(201).json({ message: "Refund created successfully", record: result.refund });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function updateRefund(req, res) {
+  try {
+    const refundId = req.params._id;
+    if (!isValidObjectId(refundId)) {
+      return res.status(400).json({ success: false, message: "Invalid refund ID" });
+    }
+    const { error, value } = settleRefundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await settleRefund(refundId, { ...value, processedBy: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    return res.status(200).json({ message: `Refund ${value.status}`, record: result.refund });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  getRefunds,
+  createManualRefund,
+  updateRefund,
+};
@@ -3,6 +3,10 @@ const Order = require("../models/Order");
 const Product = require("../models/Product");
 const returnOrder = require("../models/returnOrder");
 const { createReturnSchema, approveReturnSchema } = require("../validations/validation");
+const { adjustStock } = require("../services/variantService");
+const { createRefund } = require("../services/refundService");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
 
 
 const createReturn = async (req, res) => {
@@ -37,6 +41,21 @@ const createReturn = async (req, res) => {
       });
     }
 
+    if (!order.canTransitionTo('Returned')) {
+      return res.status(400).send({
+        success: false,
+        message: "Only delivered orders can be returned"
+      });
+    }
+
+    // Gift cards are live once issued, so orders with them are not returnable
+    if (order.orderItems.some((item) => item.giftCard && item.giftCard.value)) {
+      return res.status(400).send({
+        success: false,
+        message: "Orders with gift cards can't be returned"
+      });
+    }
+
     // Create a return entry
     const returnEntry = await new returnOrder({
       orderId,
@@ -63,7 +82,7 @@ const createReturn = async (req, res) => {
 const approveReturn = async (req, res) => {
   try {
     // Validate request body
-    const { error } = approveReturnSchema.validate(req.body);
+    const { error, value } = approveReturnSchema.validate(req.body);
     if (error) {
       return res.status(400).send({
         success: false,
@@ -71,7 +90,7 @@ const approveReturn = async (req, res) => {
       });
     }
 
-    const { returnOrderId } = req.body;
+    const { returnOrderId, refundMethod } = value;
 
     // Validate returnOrderId
     if (!mongoose.Types.ObjectId.isValid(returnOrderId)) {
@@ -91,10 +110,6 @@ const approveReturn = async (req, res) => {
       });
     }
 
-    // Update the return order status
-    myReturnOrder.status = 'Approved';
-    await myReturnOrder.save();
-
     // Fetch the related order
     const order = await Order.findById(myReturnOrder.orderId);
 
@@ -106,25 +121,57 @@ const approveReturn = async (req, res) => {
     }
 
     // Update the order status
-    order.status = 'Returned';
+    const transitionError = order.changeStatus('Returned', {
+      actor: 'admin',
+      changedBy: req.userId,
+      note: myReturnOrder.reason
+    });
+    if (transitionError) {
+      return res.status(400).send({
+        success: false,
+        message: transitionError
+      });
+    }
     await order.save();
 
+    // Update the return order status
+    myReturnOrder.status = 'Approved';
+    await myReturnOrder.save();
+
     // Calculate total return amount and update product quantities
     let totalReturnAmount = 0;
     for (const item of order.orderItems) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        product.quantity += item.quantity;
-        await product.save();
-        totalReturnAmount += product.basePrice * item.quantity;
+      await adjustStock(item.productId, item.variantId, item.quantity);
+
+      // Refund what was paid; orders placed before line snapshots fall back to the live price
+      let unitPrice = item.finalPrice;
+      if (unitPrice == null) {
+        const product = await Product.findById(item.productId);
+        unitPrice = product ? product.finalPrice : 0;
+      }
+      totalReturnAmount += unitPrice * item.quantity;
+      // GST charged on top of the prices is paid back too
+      if (order.tax && order.tax.pricesIncludeTax === false && item.tax) {
+        totalReturnAmount += item.tax.total;
       }
     }
+    // the coupon took its discount off the items; delivery is not refunded
+    totalReturnAmount = roundAmount(Math.max(totalReturnAmount - (order.couponDiscount || 0), 0));
+
+    const { refund } = await createRefund(order, {
+      amount: totalReturnAmount,
+      method: refundMethod,
+      source: "return",
+      returnOrderId: myReturnOrder._id,
+      createdBy: req.userId
+    });
 
     // Return response
     return res.status(200).send({
       success: true,
       message: "Your return has been approved",
       totalReturnAmount,
+      refund,
       myReturnOrder
     });
 
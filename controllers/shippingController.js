@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const ShippingRule = require("../models/ShippingRule");
+const { shippingRuleSchema } = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+async function createShippingRule(req, res) {
+  try {
+    const { error, value } = shippingRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const rule = await ShippingRule.create(value);
+    return res
+      .status(201)
+      .json({ message: "Shipping rule created successfully", record: rule });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getShippingRules(req, res) {
+  try {
+    const rules = await ShippingRule.find({}).sort({ method: 1, priority: 1, createdAt: 1 });
+    return res.status(200).json({
+      message: "record fetched successfully",
+      count: rules.length,
+      record: rules,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Rules are replaced as a whole, so the body is validated like a new rule
+async function updateShippingRule(req, res) {
+  try {
+    const ruleId = req.params._id;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ success: false, message: "Invalid shipping rule ID" });
+    }
+
+    const { error, value } = shippingRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const rule = await ShippingRule.findById(ruleId);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Shipping rule not found" });
+    }
+    rule.set({ rate: undefined, slabs: [], freeAbove: undefined, ...value });
+    const savedRule = await rule.save();
+
+    return res
+      .status(200)
+      .json({ message: "Shipping rule updated successfully", record: savedRule });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function deleteShippingRule(req, res) {
+  try {
+    const ruleId = req.params._id;
+    if (!isValidObjectId(ruleId)) {
+      return res.status(400).json({ success: false, message: "Invalid shipping rule ID" });
+    }
+
+    const rule = await ShippingRule.findByIdAndDelete(ruleId);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Shipping rule not found" });
+    }
+    return res.status(200).json({ message: "Shipping rule deleted successfully" });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  createShippingRule,
+  getShippingRules,
+  updateShippingRule,
+  deleteShippingRule,
+};
@@ -8,7 +8,7 @@ async function createSubCategory(req, res) {
     const data = req.body;
     const { error } = subCategoryValidationSchema.validate(data);
     if (error) {
-      res.status(400).json({ message: error.details[0].message });
+      return res.status(400).json({ message: error.details[0].message });
     }
     //check if the brand name already exists
     const existingSubCategory = await SubCategory.findOne({ name: data.name });
@@ -87,14 +87,14 @@ async function updateSubCategory(req, res) {
     const { error } = subCategoryValidationSchema.validate(subCatData);
 
     if (error) {
-      res.status(400).json({ message: error.details[0].message });
+      return res.status(400).json({ message: error.details[0].message });
     }
 
     // Check if the subCategory name already exists
     const existingCategory = await SubCategory.findOne({
       name: subCatData.name,
     });
-    if (existingCategory && existingCategory._id.toString() !== categoryId) {
+    if (existingCategory && existingCategory._id.toString() !== subCatId) {
       return res.status(422).json({ message: "Category name already exists" });
     }
 
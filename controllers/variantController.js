@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const {
+  uploadMultipleImagesOnCloudinary,
+  getCloudinaryPublicIds,
+  deleteMultipleImageFromCloudinary,
+} = require("../utils/cloudinary");
+const {
+  variantValidationSchema,
+  updateVariantValidationSchema,
+} = require("../validations/validation");
+const { withAvailability } = require("../services/variantService");
+const {
+  getAttributeSchema,
+  validateAttributes,
+} = require("../services/attributeService");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Two variants of one product may not share the same attribute combination
+const attributeKey = (attributes) =>
+  Object.entries(attributes instanceof Map ? Object.fromEntries(attributes) : attributes)
+    .map(([name, value]) => `${name.toLowerCase()}=${String(value).toLowerCase()}`)
+    .sort()
+    .join("|");
+
+const hasDuplicateCombination = (product, attributes, exceptId) =>
+  product.variants.some(
+    (variant) =>
+      variant._id.toString() !== String(exceptId) &&
+      attributeKey(variant.attributes) === attributeKey(attributes)
+  );
+
+// Variant attribute values must respect the product's category attribute schema
+async function checkVariantAttributes(product, attributes) {
+  const { error, definitions } = await getAttributeSchema(
+    product.category,
+    product.subCategory
+  );
+  if (error) return { error };
+  return validateAttributes(definitions, attributes, { variant: true });
+}
+
+async function uploadVariantImages(files) {
+  if (!files || files.length === 0) return [];
+  const uploadResults = await uploadMultipleImagesOnCloudinary(
+    files.map((file) => file.path)
+  );
+  if (uploadResults.length !== files.length || uploadResults.some((result) => !result)) {
+    return null;
+  }
+  return uploadResults.map((result) => result.secure_url);
+}
+
+async function addVariant(req, res) {
+  try {
+    const productId = req.params._id;
+    if (!isValidObjectId(productId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Product ID is Invalid " });
+    }
+
+    const { error, value } = variantValidationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const { error: attributeError, attributes } = await checkVariantAttributes(
+      product,
+      value.attributes
+    );
+    if (attributeError) {
+      return res.status(400).json({ success: false, message: attributeError });
+    }
+    value.attributes = attributes;
+
+    if (hasDuplicateCombination(product, value.attributes)) {
+      return res.status(400).json({
+        success: false,
+        message: "A variant with these attributes already exists",
+      });
+    }
+
+    const images = await uploadVariantImages(req.files);
+    if (!images) {
+      return res
+        .status(500)
+        .json({ error: "Failed to upload one or more images" });
+    }
+
+    product.variants.push({ ...value, images });
+    const savedProduct = await product.save();
+
+    return res.status(201).json({
+      message: "Variant added successfully",
+      record: withAvailability(savedProduct),
+    });
+  } catch (error) {
+    console.error("Error adding variant:", error);
+    if (error.code === 11000) {
+      return res.status(422).json({ message: "Duplicate entry found" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function updateVariant(req, res) {
+  try {
+    const { _id: productId, variantId } = req.params;
+    if (!isValidObjectId(productId) || !isValidObjectId(variantId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Product or Variant ID is Invalid" });
+    }
+
+    const { error, value } = updateVariantValidationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    if (value.attributes) {
+      const { error: attributeError, attributes } =
+        await checkVariantAttributes(product, value.attributes);
+      if (attributeError) {
+        return res
+          .status(400)
+          .json({ success: false, message: attributeError });
+      }
+      value.attributes = attributes;
+    }
+
+    if (
+      value.attributes &&
+      hasDuplicateCombination(product, value.attributes, variantId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A variant with these attributes already exists",
+      });
+    }
+
+    // Replace the variant images only when new ones are uploaded
+    if (req.files && req.files.length > 0) {
+      const images = await uploadVariantImages(req.files);
+      if (!images) {
+        return res
+          .status(500)
+          .json({ error: "Failed to upload one or more images" });
+      }
+      if (variant.images.length > 0) {
+        await deleteMultipleImageFromCloudinary(
+          getCloudinaryPublicIds(variant.images)
+        );
+      }
+      value.images = images;
+    }
+
+    variant.set(value);
+    const savedProduct = await product.save();
+
+    return res.status(200).json({
+      message: "Variant updated successfully",
+      record: withAvailability(savedProduct),
+    });
+  } catch (error) {
+    console.error("Error updating variant:", error);
+    if (error.code === 11000) {
+      return res.status(422).json({ message: "Duplicate entry found" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function deleteVariant(req, res) {
+  try {
+    const { _id: productId, variantId } = req.params;
+    if (!isValidObjectId(productId) || !isValidObjectId(variantId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Product or Variant ID is Invalid" });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    if (variant.images.length > 0) {
+      await deleteMultipleImageFromCloudinary(
+        getCloudinaryPublicIds(variant.images)
+      );
+    }
+    product.quantity -= variant.quantity;
+    variant.deleteOne();
+    await product.save();
+
+    return res.status(200).json({ message: "Variant deleted successfully" });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  addVariant,
+  updateVariant,
+  deleteVariant,
+};
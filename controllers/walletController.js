@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const {
+  getBalance,
+  creditWallet,
+  debitWallet,
+  walletTransactions,
+} = require("../services/walletService");
+const { walletAdjustmentSchema, walletQuerySchema } = require("../validations/validation");
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Balance and one page of transactions of `userId`'s wallet
+const sendWallet = async (res, userId, query) => {
+  const { error, value } = walletQuerySchema.validate(query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error.details[0].message });
+  }
+  const [balance, [total, transactions]] = await Promise.all([
+    getBalance(userId),
+    walletTransactions(userId, value),
+  ]);
+  return res.status(200).json({
+    success: true,
+    message: "Wallet fetched successfully",
+    balance,
+    transactions,
+    pagination: {
+      total,
+      page: value.page,
+      limit: value.limit,
+      totalPages: Math.ceil(total / value.limit),
+    },
+  });
+};
+
+async function getMyWallet(req, res) {
+  try {
+    return await sendWallet(res, req.userId, req.query);
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+async function getUserWallet(req, res) {
+  try {
+    const userId = req.params.userId;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+    return await sendWallet(res, userId, req.query);
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Store credit given by an admin, e.g. as a reward or goodwill gesture
+async function grantCredit(req, res) {
+  try {
+    const userId = req.params.userId;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+    const { error, value } = walletAdjustmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const transaction = await creditWallet(userId, value.amount, {
+      source: "grant",
+      reason: value.reason,
+      createdBy: req.userId,
+    });
+    return res.status(201).json({ message: "Credit granted successfully", record: transaction });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Store credit taken back by an admin; never more than the balance
+async function revokeCredit(req, res) {
+  try {
+    const userId = req.params.userId;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+    const { error, value } = walletAdjustmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await debitWallet(userId, value.amount, {
+      source: "revoke",
+      reason: value.reason,
+      createdBy: req.userId,
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    return res.status(201).json({ message: "Credit revoked successfully", record: result.transaction });
+  } catch (error) {
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+module.exports = {
+  getMyWallet,
+  getUserWallet,
+  grantCredit,
+  revokeCredit,
+};
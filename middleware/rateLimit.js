@@ -0,0 +1,79 @@
+const RateLimit = require("../models/rateLimit");
+const { giftCardConfig } = require("../services/giftCardService");
+
+// Middleware allowing a client at most `max` requests to the routes named
+// `name` per `windowMs`. A client is counted by its IP address and, once
+// signed in, by its user id too, so neither new accounts nor new addresses
+// get round the limit. Counts are kept in the database, so the limit holds
+// across server instances. Requests for which `skip(req)` is true are not
+// counted.
+// With `failuresOnly`, only requests the route marks with
+// `req.rateLimitFailed = true` count. Each request is still counted up front,
+// so parallel requests can't slip past the limit, and given back once its
+// response is sent unmarked.
+function rateLimit({ name, max, windowMs, failuresOnly = false, skip }) {
+  return async (req, res, next) => {
+    try {
+      if (skip && skip(req)) {
+        return next();
+      }
+
+      const now = Date.now();
+      const window = Math.floor(now / windowMs);
+      const clients = [`ip:${req.ip}`];
+      if (req.userId) clients.push(`user:${req.userId}`);
+      const keys = clients.map((client) => `${name}:${client}:${window}`);
+
+      const bump = (key) =>
+        RateLimit.findOneAndUpdate(
+          { key },
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date((window + 1) * windowMs) } },
+          { new: true, upsert: true }
+        );
+      const count = (key) =>
+        bump(key).catch((error) => {
+          // Two first requests of the window raced to create the counter
+          if (error.code !== 11000) throw error;
+          return bump(key);
+        });
+
+      const counters = await Promise.all(keys.map(count));
+      if (counters.some((counter) => counter.count > max)) {
+        res.set("Retry-After", String(Math.ceil(((window + 1) * windowMs - now) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: "Too many requests, please try again later",
+        });
+      }
+
+      if (failuresOnly) {
+        res.on("finish", () => {
+          if (req.rateLimitFailed) return;
+          RateLimit.updateMany(
+            { key: { $in: keys }, count: { $gt: 0 } },
+            { $inc: { count: -1 } }
+          ).catch((error) => console.error("Error releasing rate limit:", error));
+        });
+      }
+      next();
+    } catch (error) {
+      return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+  };
+}
+
+// Limit on failed gift card lookups, shared by every route that takes a code
+// (GIFT_CARD_CHECK_LIMIT per GIFT_CARD_CHECK_WINDOW_MINUTES), so codes can't
+// be guessed by trying them. `options` may add a `skip`.
+const giftCardLookupLimit = (options = {}) => {
+  const { checkLimit, checkWindowMinutes } = giftCardConfig();
+  return rateLimit({
+    name: "giftCardCheck",
+    max: checkLimit,
+    windowMs: checkWindowMinutes * 60 * 1000,
+    failuresOnly: true,
+    ...options,
+  });
+};
+
+module.exports = { rateLimit, giftCardLookupLimit };
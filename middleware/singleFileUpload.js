@@ -4,4 +4,14 @@ const storage = multer.memoryStorage({
     callback(null, "");
   },
 });
-exports.upload = multer({ storage }).single("image");
\ No newline at end of file
+exports.upload = multer({ storage }).single("image");
+
+// Admin CSV uploads are parsed in memory and never written to disk
+exports.uploadCsv = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: function (req, file, callback) {
+    const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === "text/csv";
+    callback(isCsv ? null : new Error("Only CSV files are allowed"), isCsv);
+  },
+}).single("file");
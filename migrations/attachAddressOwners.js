@@ -0,0 +1,66 @@
+// One-off migration: addresses created before they had an owner get the
+// `userId` of the customer whose orders shipped to them.
+//
+//   npm run migrate:address-owners
+//
+// An address used by orders of several users goes to the user of its earliest
+// order and is reported. Addresses never used in an order can't be attributed
+// and are only reported.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Address = require("../models/userAddress");
+const Order = require("../models/Order");
+
+const run = async () => {
+  await mongoose.connect(process.env.URI);
+
+  const owners = await Order.aggregate([
+    { $match: { address: { $ne: null } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$address",
+        userId: { $first: "$userId" },
+        users: { $addToSet: "$userId" },
+      },
+    },
+  ]);
+  const ownerByAddress = new Map(owners.map((owner) => [owner._id.toString(), owner]));
+
+  const addresses = await Address.find({ userId: { $exists: false } }).select("_id").lean();
+  const updates = [];
+  const unattributed = [];
+
+  addresses.forEach(({ _id }) => {
+    const owner = ownerByAddress.get(_id.toString());
+    if (!owner) {
+      unattributed.push(_id.toString());
+      return;
+    }
+    if (owner.users.length > 1) {
+      console.warn(
+        `address ${_id} is used by ${owner.users.length} users, assigned to ${owner.userId}`
+      );
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id, userId: { $exists: false } },
+        update: { $set: { userId: owner.userId } },
+      },
+    });
+  });
+
+  if (updates.length > 0) {
+    await Address.bulkWrite(updates);
+  }
+  if (unattributed.length > 0) {
+    console.error(`no orders found for ${unattributed.length} addresses: ${unattributed.join(", ")}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -11,6 +11,9 @@ const cartSchema =new mongoose.Schema({
             ref:'Product',
             required:true
         },
+        variantId:{
+            type:mongoose.Schema.Types.ObjectId
+        },
         quantity:{
             type:Number,
             required:true,
@@ -18,7 +21,12 @@ const cartSchema =new mongoose.Schema({
         }
     }
 ],
-
+    // coupon applied through POST /cart/coupon, redeemed at checkout
+    couponCode:{
+        type:String,
+        trim:true,
+        uppercase:true
+    }
 
 },{timestamps:true})
 
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const attributeDefinitionSchema = require("./attributeDefinition");
 
 const categorySchema = mongoose.Schema(
   {
@@ -7,6 +8,18 @@ const categorySchema = mongoose.Schema(
       required: [true, "category name is required"],
       unique: true,
     },
+    attributes: {
+      type: [attributeDefinitionSchema],
+    },
+    // GST defaults for the category's products, which may override them
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    gstRate: {
+      type: Number,
+      enum: [0, 5, 12, 18, 28],
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Named sequences incremented atomically, e.g. "order-2026" for that year's order numbers
+const counterSchema = mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
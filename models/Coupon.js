@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const COUPON_TYPES = ["percentage", "flat", "freeShipping", "buyXGetY"];
+
+const couponSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: [true, "Coupon type is required"],
+    },
+    // percent off for "percentage", amount off for "flat"
+    value: {
+      type: Number,
+      min: 0,
+    },
+    // cap on a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // "buyXGetY": of every buyQuantity + getQuantity eligible units, the
+    // getQuantity cheapest are free
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+    },
+    startsAt: {
+      type: Date,
+    },
+    endsAt: {
+      type: Date,
+    },
+    // cart subtotal needed before the coupon applies
+    minCartValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // the coupon discounts only items in these categories, brands or products;
+    // all empty: the whole cart
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    brands: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Brand",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    // total redemptions allowed; unset: unlimited
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre("validate", function (next) {
+  if ((this.type === "percentage" || this.type === "flat") && this.value == null) {
+    this.invalidate("value", `A ${this.type} coupon needs a value`);
+  }
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage coupon cannot exceed 100");
+  }
+  if (this.type === "buyXGetY" && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate("buyQuantity", "A buyXGetY coupon needs buyQuantity and getQuantity");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  next();
+});
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+module.exports = Coupon;
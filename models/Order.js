@@ -1,5 +1,57 @@
 const  mongoose  = require("mongoose");
+
+// Order lifecycle: the statuses an order may move to from each status.
+// Processed -> shipped -> inRoute -> Arrival -> delivered, with courier steps
+// allowed to be skipped; a refused delivery goes to RTO from any courier step.
+// cancelled, RTO and Returned are final.
+const ORDER_TRANSITIONS = {
+    Processed:["shipped","cancelled","outofStock"],
+    outofStock:["Processed","cancelled"],
+    shipped:["inRoute","Arrival","delivered","RTO"],
+    inRoute:["Arrival","delivered","RTO"],
+    Arrival:["delivered","RTO"],
+    delivered:["Returned"],
+    Returned:[],
+    cancelled:[],
+    // returned to origin: the delivery was refused and the parcel came back
+    RTO:[]
+}
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS)
+// orders that were called off before delivery
+const CLOSED_STATUSES = ["cancelled","RTO"]
+
+// GST on an order line or on the delivery charges
+const taxBreakdownSchema = mongoose.Schema({
+    hsnCode:String,
+    rate:Number,
+    taxableValue:Number,
+    cgst:Number,
+    sgst:Number,
+    igst:Number,
+    total:Number
+},{_id:false})
+
+// copy of an Address taken at checkout, so later address edits don't
+// rewrite where a past order went
+const orderAddressSchema = mongoose.Schema({
+    name:String,
+    mobile:String,
+    email:String,
+    Pincode:String,
+    Landmark:String,
+    district:String,
+    state:String,
+    addressAs:String,
+    fullAddress:String
+},{_id:false})
+
 const orderSchema =  mongoose.Schema({
+    // human-readable number such as PB-2026-000123
+    orderNumber:{
+        type:String,
+        unique:true,
+        sparse:true
+    },
     userId:{
         type:mongoose.Schema.Types.ObjectId,
         ref:"users",
@@ -11,9 +63,54 @@ const orderSchema =  mongoose.Schema({
             ref:"Product",
             required:true      
         },
+        variantId:{
+            type:mongoose.Schema.Types.ObjectId
+        },
         quantity:{
             type:Number,
             required:true
+        },
+        // snapshot of the product as it was bought, so later edits or
+        // deletions of the product don't change past orders
+        name:{
+            type:String
+        },
+        image:{
+            type:String
+        },
+        sku:{
+            type:String
+        },
+        attributes:{
+            type:Map,
+            of:String
+        },
+        basePrice:{
+            type:Number
+        },
+        // unit price charged, after promotions
+        finalPrice:{
+            type:Number
+        },
+        discount:{
+            type:Number
+        },
+        promotions:[{
+            _id:false,
+            promotionId:{
+                type:mongoose.Schema.Types.ObjectId,
+                ref:"Promotion"
+            },
+            name:String,
+            discount:Number
+        }],
+        tax:{
+            type:taxBreakdownSchema
+        },
+        // set on gift card lines: each unit issues a card once the order is paid
+        giftCard:{
+            value:Number,
+            validityDays:Number
         }
     }],
     address:{
@@ -21,6 +118,124 @@ const orderSchema =  mongoose.Schema({
         ref:"Address",
         required:true
     },
+    shippingAddress:{
+        type:orderAddressSchema
+    },
+    billingAddress:{
+        type:orderAddressSchema
+    },
+    subtotal:{
+        type:Number,
+        default:0
+    },
+    discount:{
+        type:Number,
+        default:0
+    },
+    promotionDiscount:{
+        type:Number,
+        default:0
+    },
+    coupon:{
+        couponId:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:"Coupon"
+        },
+        code:String,
+        type:{
+            type:String
+        }
+    },
+    couponDiscount:{
+        type:Number,
+        default:0
+    },
+    deliveryCharges:{
+        type:Number,
+        default:0
+    },
+    // shipping method and the rule that set deliveryCharges
+    shipping:{
+        method:{
+            type:String,
+            enum:["standard","express"],
+            default:"standard"
+        },
+        rule:{
+            ruleId:{
+                type:mongoose.Schema.Types.ObjectId,
+                ref:"ShippingRule"
+            },
+            name:String,
+            basis:String,
+            zone:String,
+            freeShipping:Boolean
+        }
+    },
+    paymentMethod:{
+        type:String,
+        enum:["UPI","ONLINE","COD"],
+        default:"UPI"
+    },
+    // store credit spent on the order; the payment method covers the rest
+    walletAmount:{
+        type:Number,
+        default:0
+    },
+    // gift card spent on the order, before store credit
+    giftCard:{
+        giftCardId:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:"GiftCard"
+        },
+        code:String
+    },
+    giftCardAmount:{
+        type:Number,
+        default:0
+    },
+    // "paid" once the UPI payment is confirmed or the COD cash collected
+    paymentStatus:{
+        type:String,
+        enum:["pending","paid","failed"],
+        default:"pending"
+    },
+    paidAt:Date,
+    // sum of refunds given or under way (see services/refundService)
+    refundedAmount:{
+        type:Number,
+        default:0
+    },
+    codFee:{
+        type:Number,
+        default:0
+    },
+    // collection of a cash-on-delivery order
+    cod:{
+        status:{
+            type:String,
+            enum:["pending","collected","refused"]
+        },
+        collectedAt:Date,
+        updatedBy:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:"admin"
+        },
+        note:String
+    },
+    // GST totals of the order, with the tax on the delivery charges
+    tax:{
+        pricesIncludeTax:Boolean,
+        interState:Boolean,
+        taxableValue:Number,
+        cgst:Number,
+        sgst:Number,
+        igst:Number,
+        totalTax:Number,
+        shipping:{
+            type:taxBreakdownSchema
+        }
+    },
     totalPrice:{
         type:Number,
         required:true
@@ -31,11 +246,65 @@ const orderSchema =  mongoose.Schema({
     },
     status:{
         type:String,
-        enum:["Processed","shipped","inRoute",
-               "Arrival","delivered","Returned",
-               "cancelled","outofStock"],
+        enum:ORDER_STATUSES,
         default:"Processed"
+    },
+    cancellationReason:{
+        type:String,
+        trim:true
+    },
+    statusHistory:[{
+        status:{
+            type:String,
+            enum:ORDER_STATUSES,
+            required:true
+        },
+        actor:{
+            type:String,
+            enum:["customer","admin","system"],
+            required:true
+        },
+        changedBy:{
+            type:mongoose.Schema.Types.ObjectId
+        },
+        note:{
+            type:String,
+            trim:true
+        },
+        changedAt:{
+            type:Date,
+            default:Date.now
+        }
+    }]
+},{timestamps:true,optimisticConcurrency:true})
+
+// admin listing filters and sorts
+orderSchema.index({createdAt:-1})
+orderSchema.index({status:1,createdAt:-1})
+orderSchema.index({userId:1,createdAt:-1})
+orderSchema.index({"orderItems.productId":1})
+
+orderSchema.methods.canTransitionTo = function(status){
+    return (ORDER_TRANSITIONS[this.status] || []).includes(status)
+}
+
+// Moves the order to `status` and records the change in statusHistory.
+// Returns an error message for an illegal transition, null otherwise.
+// The caller saves the order.
+orderSchema.methods.changeStatus = function(status,{actor,changedBy,note} = {}){
+    if(!ORDER_STATUSES.includes(status)){
+        return `Invalid order status: ${status}`
     }
-},{timestamps:true})
+    if(!this.canTransitionTo(status)){
+        return `Order cannot move from ${this.status} to ${status}`
+    }
+    this.status = status
+    this.statusHistory.push({status,actor,changedBy,note})
+    return null
+}
+
+orderSchema.statics.STATUSES = ORDER_STATUSES
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS
+orderSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES
 
 module.exports = mongoose.model("Order",orderSchema) 
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A pincode we deliver to, maintained by admins through CSV uploads
+const pincodeSchema = mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: [true, "Pincode is required"],
+      trim: true,
+      unique: true,
+      match: [/^[1-9][0-9]{5}$/, "Pincode must be a 6-digit number"],
+    },
+    zone: {
+      type: String,
+      required: [true, "Zone is required"],
+      trim: true,
+    },
+    codAvailable: {
+      type: Boolean,
+      default: false,
+    },
+    minDays: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxDays: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Lets admins pause deliveries to a pincode without losing its settings
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Pincode = mongoose.model("Pincode", pincodeSchema);
+
+module.exports = Pincode;
@@ -1,5 +1,47 @@
 const mongoose = require("mongoose");
 
+// A purchasable combination of attributes (e.g. size "M" + color "Blue")
+// with its own SKU, stock, optional price override and images.
+const variantSchema = mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "Variant SKU is required"],
+      trim: true,
+      uppercase: true,
+    },
+    attributes: {
+      type: Map,
+      of: String,
+      required: [true, "Variant attributes are required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Variant quantity is required"],
+      min: 0,
+    },
+    price: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          const product = this.ownerDocument();
+          return value == null || value <= product.basePrice;
+        },
+        message: "Variant price should be less than or equal to base price",
+      },
+    },
+    images: {
+      type: [String],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
 const productSchema = mongoose.Schema(
   {
     name: {
@@ -44,6 +86,29 @@ const productSchema = mongoose.Schema(
       type:[String],
       enum:["1","2","3","4","5","6","7","8","9","10","11","12"]
     },
+    // Values for the attribute schema defined on the product's Category/SubCategory
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+    },
+
+    // gift card products issue a card worth `giftCard.value` per unit sold
+    productType: {
+      type: String,
+      enum: ["standard", "giftCard"],
+      default: "standard",
+    },
+    giftCard: {
+      value: {
+        type: Number,
+        min: 1,
+      },
+      // default: GIFT_CARD_VALIDITY_DAYS
+      validityDays: {
+        type: Number,
+        min: 1,
+      },
+    },
 
     quantity: {
       type: Number,
@@ -54,6 +119,21 @@ const productSchema = mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // GST classification; unset: taken from the category
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    gstRate: {
+      type: Number,
+      enum: [0, 5, 12, 18, 28],
+    },
+    // shipping weight in grams, used by weight-based shipping rules
+    weight: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     discountPrice:{
       type: Number,
     //  required: [true, "Product discount price is required"],
@@ -88,10 +168,43 @@ const productSchema = mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: function (variants) {
+          const skus = variants.map((variant) => variant.sku);
+          return new Set(skus).size === skus.length;
+        },
+        message: "Variant SKUs must be unique within a product",
+      },
+    },
   },
   { timestamps: true }
 );
 
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+productSchema.pre("validate", function (next) {
+  if (this.productType === "giftCard" && !(this.giftCard && this.giftCard.value)) {
+    this.invalidate("giftCard.value", "Gift card value is required");
+  }
+  next();
+});
+
+// Products sold by variant keep `quantity` as the total of their variants' stock
+productSchema.pre("validate", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.quantity = this.variants.reduce(
+      (total, variant) => total + variant.quantity,
+      0
+    );
+  }
+  next();
+});
+
 const Product = mongoose.model("Product", productSchema);
 
 module.exports = Product;
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+const PROMOTION_TYPES = ["percentage", "flat"];
+
+// Automatic, scheduled sale applied to product prices without editing them,
+// e.g. "20% off all Adidas this weekend" or "flat 200 off shoes above 1999"
+const promotionSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Promotion name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: [true, "Promotion type is required"],
+    },
+    // percent off for "percentage", amount off each unit for "flat"
+    value: {
+      type: Number,
+      required: [true, "Promotion value is required"],
+      min: 0,
+    },
+    // cap per unit on a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // only items priced at least this much (before promotions) are discounted
+    minItemPrice: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // items in any of these categories, subcategories, brands or products;
+    // all empty: sitewide
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    subCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubCategory",
+      },
+    ],
+    brands: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Brand",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    // lower numbers are applied first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // stackable promotions combine with each other; a non-stackable one is
+    // applied on its own
+    stackable: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre("validate", function (next) {
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage promotion cannot exceed 100");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  next();
+});
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+const SHIPPING_METHODS = ["standard", "express"];
+const SHIPPING_BASES = ["flat", "weight", "itemCount"];
+
+// Charge for carts up to `upTo` grams (weight) or items (itemCount); the
+// slab without `upTo` covers everything above the others
+const slabSchema = mongoose.Schema(
+  {
+    upTo: {
+      type: Number,
+      min: 0,
+    },
+    charge: {
+      type: Number,
+      required: [true, "Slab charge is required"],
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Admin-managed delivery charge for one shipping method, optionally limited to
+// pincode zones (see Pincode.zone)
+const shippingRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+    },
+    method: {
+      type: String,
+      enum: SHIPPING_METHODS,
+      default: "standard",
+    },
+    // empty: applies to every zone
+    zones: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    basis: {
+      type: String,
+      enum: SHIPPING_BASES,
+      default: "flat",
+    },
+    rate: {
+      type: Number,
+      min: 0,
+    },
+    slabs: {
+      type: [slabSchema],
+      default: [],
+    },
+    // carts with a subtotal of at least this ship free
+    freeAbove: {
+      type: Number,
+      min: 0,
+    },
+    // lower numbers are tried first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+shippingRuleSchema.index({ method: 1, active: 1, priority: 1 });
+
+shippingRuleSchema.pre("validate", function (next) {
+  if (this.basis === "flat" && this.rate == null) {
+    this.invalidate("rate", "A flat rule needs a rate");
+  }
+  if (this.basis !== "flat" && this.slabs.length === 0) {
+    this.invalidate("slabs", `A ${this.basis} rule needs at least one slab`);
+  }
+  next();
+});
+
+shippingRuleSchema.statics.METHODS = SHIPPING_METHODS;
+shippingRuleSchema.statics.BASES = SHIPPING_BASES;
+
+const ShippingRule = mongoose.model("ShippingRule", shippingRuleSchema);
+
+module.exports = ShippingRule;
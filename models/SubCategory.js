@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const attributeDefinitionSchema = require("./attributeDefinition");
 
 const subCategorySchema = mongoose.Schema(
   {
@@ -12,6 +13,9 @@ const subCategorySchema = mongoose.Schema(
       ref: "Category",
       required: [true, "subCategory id is required"],
     },
+    attributes: {
+      type: [attributeDefinitionSchema],
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Describes one product attribute a Category/SubCategory expects,
+// e.g. { name: "footSize", type: "string", required: true, multiple: true,
+// allowedValues: ["6", "7", "8"] }. Not a model of its own.
+const attributeDefinitionSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Attribute name is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["string", "number", "boolean"],
+      default: "string",
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    multiple: {
+      type: Boolean,
+      default: false,
+    },
+    allowedValues: {
+      type: [String],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = attributeDefinitionSchema;
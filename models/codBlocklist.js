@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Cash-on-delivery record of a user: refused COD deliveries, and whether COD
+// is blocked for them (automatically after too many refusals, or by an admin)
+const codBlocklistSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    refusals: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    blocked: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    blockedAt: {
+      type: Date,
+    },
+    // admin who blocked the user by hand; unset when blocked automatically
+    blockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+  },
+  { timestamps: true }
+);
+
+const CodBlocklist = mongoose.model("CodBlocklist", codBlocklistSchema);
+
+module.exports = CodBlocklist;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// How often a user has redeemed a coupon, and on which orders. One document
+// per coupon and user, so the per-user limit can be enforced atomically.
+const couponRedemptionSchema = mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    count: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    orders: [
+      {
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        discount: Number,
+        redeemedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+const GIFT_CARD_STATUSES = ["active", "disabled"];
+
+// A gift card: a code worth `initialValue` that is spent down over one or more
+// orders until its balance runs out or it expires. Cards are bought as a
+// gift card product (one per unit ordered) or issued in bulk by an admin.
+// Every change of the balance is kept in `transactions`.
+const giftCardSchema = mongoose.Schema(
+  {
+    // stored without separators, e.g. "7KQ2M9XR4D8HWT3C"
+    code: {
+      type: String,
+      required: [true, "Gift card code is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    initialValue: {
+      type: Number,
+      required: [true, "Gift card value is required"],
+      min: 1,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Gift card expiry is required"],
+    },
+    status: {
+      type: String,
+      enum: GIFT_CARD_STATUSES,
+      default: "active",
+    },
+    source: {
+      type: String,
+      enum: ["purchase", "bulk"],
+      required: true,
+    },
+    // the order line a purchased card was bought with, and which of its units
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    unit: {
+      type: Number,
+    },
+    purchasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+    // cards issued together by an admin share a batch id
+    batchId: {
+      type: String,
+      trim: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // set while the card is disabled because the order it was bought with is
+    // being cancelled, so an admin's own disabling is never undone with it
+    disabledForOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    transactions: [
+      {
+        type: {
+          type: String,
+          enum: ["redeem", "reversal"],
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// One card per unit of a purchased order line, however often issuing is retried
+giftCardSchema.index(
+  { orderId: 1, orderItemId: 1, unit: 1 },
+  { unique: true, partialFilterExpression: { orderId: { $exists: true } } }
+);
+giftCardSchema.index({ batchId: 1 }, { sparse: true });
+
+giftCardSchema.pre("validate", function (next) {
+  if (this.balance > this.initialValue) {
+    this.invalidate("balance", "Gift card balance can't exceed its value");
+  }
+  next();
+});
+
+giftCardSchema.statics.STATUSES = GIFT_CARD_STATUSES;
+
+const GiftCard = mongoose.model("GiftCard", giftCardSchema);
+
+module.exports = GiftCard;
@@ -5,9 +5,18 @@ const paymentHistorySchema =new mongoose.Schema({
         ref:'users',
         required:true
     },
+    orderId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Order'
+    },
+    // "upi" for manual UPI transfers, else the payment gateway's name
+    provider:{
+        type:String,
+        default:"upi"
+    },
     utrNumber:{
         type:Number,
-        required:true
+        required:function(){ return this.provider === "upi" }
     },
     transactionId:{
         type:String,
@@ -19,10 +28,38 @@ const paymentHistorySchema =new mongoose.Schema({
     },
     status:{
         type:String,
-        enum:["PROCESSED","PENDING","COMPLETED","FAILED","CANCELLED"],
+        enum:["PROCESSED","PENDING","COMPLETED","FAILED","CANCELLED","REFUND_PENDING","REFUNDED"],
         default:"PROCESSED"
     }
 },{timestamps:true})
 
+paymentHistorySchema.index({orderId:1,createdAt:-1})
+
+// UTR (or transaction id) of the latest payment made for an order, or null
+paymentHistorySchema.statics.referenceForOrder = async function(orderId){
+    const payment = await this.findOne({
+        orderId,
+        status:{$nin:["FAILED","CANCELLED"]}
+    }).sort({createdAt:-1}).lean()
+    return payment ? String(payment.utrNumber || payment.transactionId) : null
+}
+
+// Same as referenceForOrder for many orders at once, with a single query.
+// Returns a Map of order id (string) to reference.
+paymentHistorySchema.statics.referencesForOrders = async function(orderIds){
+    const payments = await this.find({
+        orderId:{$in:orderIds},
+        status:{$nin:["FAILED","CANCELLED"]}
+    }).sort({createdAt:-1}).lean()
+    const references = new Map()
+    for(const payment of payments){
+        const key = payment.orderId.toString()
+        if(!references.has(key)){
+            references.set(key, String(payment.utrNumber || payment.transactionId))
+        }
+    }
+    return references
+}
+
 module.exports = mongoose.model("paymentHistory",paymentHistorySchema)
  
\ No newline at end of file
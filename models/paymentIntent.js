@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+// created -> submitted (customer sent a UTR) -> paid | failed;
+// created -> paid | failed for gateway payments;
+// created -> expired when nothing was submitted in time;
+// created/submitted -> cancelled when the order is cancelled
+const PAYMENT_INTENT_STATUSES = ["created", "submitted", "paid", "failed", "expired", "cancelled"];
+
+const isUpi = function () {
+  return this.provider === "upi";
+};
+
+// Payment expected for an order: what the customer has to pay, until when, and
+// either to whom and under which reference (manual UPI) or through which
+// gateway payment
+const paymentIntentSchema = mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // "upi" for manual UPI transfers, else the gateway name (see services/gateways)
+    provider: {
+      type: String,
+      default: "upi",
+    },
+    gatewayPaymentId: {
+      type: String,
+    },
+    checkoutUrl: {
+      type: String,
+    },
+    payeeId: {
+      type: String,
+      required: isUpi,
+    },
+    payeeName: {
+      type: String,
+    },
+    // `tr` of the UPI link, quoted back by the customer's bank
+    transactionRef: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    upiString: {
+      type: String,
+      required: isUpi,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_INTENT_STATUSES,
+      default: "created",
+    },
+    // bank reference of the customer's transfer; a UTR pays one order only
+    utrNumber: {
+      type: String,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+    confirmationSource: {
+      type: String,
+      enum: ["admin", "matcher", "gateway"],
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentIntentSchema.index(
+  { utrNumber: 1 },
+  { unique: true, partialFilterExpression: { utrNumber: { $type: "string" } } }
+);
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+paymentIntentSchema.index({ provider: 1, gatewayPaymentId: 1 });
+
+paymentIntentSchema.statics.STATUSES = PAYMENT_INTENT_STATUSES;
+
+const PaymentIntent = mongoose.model("PaymentIntent", paymentIntentSchema);
+
+module.exports = PaymentIntent;
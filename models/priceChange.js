@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const PRICE_CHANGE_STATUSES = ["scheduled", "applying", "applied", "cancelled", "failed"];
+
+// A product price change an admin scheduled for `effectiveAt`; the price
+// scheduler applies it once it is due
+const priceChangeSchema = mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    basePrice: {
+      type: Number,
+      required: [true, "Base price is required"],
+      min: 0,
+    },
+    finalPrice: {
+      type: Number,
+      required: [true, "Final price is required"],
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return value <= this.basePrice;
+        },
+        message: "Final price should be less than or equal to base price",
+      },
+    },
+    effectiveAt: {
+      type: Date,
+      required: [true, "effectiveAt is required"],
+    },
+    status: {
+      type: String,
+      enum: PRICE_CHANGE_STATUSES,
+      default: "scheduled",
+    },
+    // when a worker claimed the change to apply it
+    claimedAt: {
+      type: Date,
+    },
+    appliedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+  },
+  { timestamps: true }
+);
+
+priceChangeSchema.index({ status: 1, effectiveAt: 1 });
+priceChangeSchema.index({ productId: 1, effectiveAt: -1 });
+
+const PriceChange = mongoose.model("PriceChange", priceChangeSchema);
+
+module.exports = PriceChange;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Every price a product has had, written whenever its prices change
+const priceHistorySchema = mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  basePrice: {
+    type: Number,
+    required: true,
+  },
+  finalPrice: {
+    type: Number,
+    required: true,
+  },
+  discountPrice: {
+    type: Number,
+  },
+  // what changed the price: product creation, a live edit or a scheduled change
+  source: {
+    type: String,
+    enum: ["create", "update", "scheduled"],
+    required: true,
+  },
+  priceChangeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PriceChange",
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "admin",
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+priceHistorySchema.index({ productId: 1, changedAt: -1 });
+priceHistorySchema.index({ changedAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+module.exports = PriceHistory;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Requests a client made to a rate-limited route in one time window (see
+// middleware/rateLimit). Windows are removed once they have passed.
+const rateLimitSchema = mongoose.Schema({
+  // route name, client and window, e.g. "giftCardCheck:user:<userId>:1893456"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+const REFUND_METHODS = ["original", "storeCredit", "bankTransfer", "giftCard"];
+const REFUND_STATUSES = ["pending", "completed", "failed"];
+
+// Money given back for an order, against the payment it was paid with.
+// Refunds to the original gateway payment, to store credit or back to a gift
+// card complete on their own; the other methods stay pending until an admin
+// records the transfer.
+const refundSchema = mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "paymentHistory",
+    },
+    returnOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "returnOrder",
+    },
+    // what triggered the refund
+    source: {
+      type: String,
+      enum: ["cancellation", "return", "manual"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    method: {
+      type: String,
+      enum: REFUND_METHODS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      default: "pending",
+    },
+    // gateway refund id, bank UTR or similar
+    reference: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+    processedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ orderId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+refundSchema.statics.METHODS = REFUND_METHODS;
+refundSchema.statics.STATUSES = REFUND_STATUSES;
+
+const Refund = mongoose.model("Refund", refundSchema);
+
+module.exports = Refund;
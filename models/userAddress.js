@@ -1,6 +1,12 @@
 const mongoose = require("mongoose");
 
 const addressSchema =  mongoose.Schema({
+  userId:{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: [true, "Address owner is required"],
+    index: true
+  },
   name:{
     type: String,
     trim: true,
@@ -59,9 +65,49 @@ const addressSchema =  mongoose.Schema({
     type: String,
     required: [true, "full Address type is required"],
     trim:true
+  },
+  isDefaultShipping:{
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling:{
+    type: Boolean,
+    default: false
   }
 
 }, { timestamps: true });
 
+// a user has at most one default shipping and one default billing address
+addressSchema.index(
+  { userId: 1, isDefaultShipping: 1 },
+  { unique: true, partialFilterExpression: { isDefaultShipping: true } }
+);
+addressSchema.index(
+  { userId: 1, isDefaultBilling: 1 },
+  { unique: true, partialFilterExpression: { isDefaultBilling: true } }
+);
+
+// Unsets the given default flags on the user's other addresses before
+// `exceptId` takes them over
+addressSchema.statics.clearDefaults = function (userId, { isDefaultShipping, isDefaultBilling }, exceptId) {
+  const unset = {};
+  if (isDefaultShipping) unset.isDefaultShipping = false;
+  if (isDefaultBilling) unset.isDefaultBilling = false;
+  if (Object.keys(unset).length === 0) return Promise.resolve();
+  return this.updateMany({ userId, _id: { $ne: exceptId } }, { $set: unset });
+};
+
+// Moves the given default flags from the user's other addresses to
+// `addressId`. Save the address itself before calling this, so a failed save
+// never leaves the user without a default address.
+addressSchema.statics.takeDefaults = async function (userId, { isDefaultShipping, isDefaultBilling }, addressId) {
+  const set = {};
+  if (isDefaultShipping) set.isDefaultShipping = true;
+  if (isDefaultBilling) set.isDefaultBilling = true;
+  if (Object.keys(set).length === 0) return;
+  await this.clearDefaults(userId, set, addressId);
+  await this.updateOne({ _id: addressId, userId }, { $set: set });
+};
+
 const Address = mongoose.model('Address', addressSchema);
 module.exports = Address
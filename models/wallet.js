@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Store-credit balance of a user. The balance is a running total of the
+// user's wallet entries in the ledger (see walletTransaction) and only ever
+// changes together with a new transaction.
+const walletSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const Wallet = mongoose.model("Wallet", walletSchema);
+
+module.exports = Wallet;
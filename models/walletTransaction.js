@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const WALLET_SOURCES = ["refund", "grant", "revoke", "order", "orderReversal"];
+
+// One leg of a transaction: `account` is debited or credited `amount`.
+// Accounts are `wallet:<userId>` for customers and `store:<name>` for ours.
+const ledgerEntrySchema = mongoose.Schema(
+  {
+    account: {
+      type: String,
+      required: true,
+    },
+    side: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Double-entry record of a store-credit movement: money into the user's
+// wallet (`type` credit) or out of it (debit), with the matching entries
+// on a store account
+const walletTransactionSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    source: {
+      type: String,
+      enum: WALLET_SOURCES,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    entries: {
+      type: [ledgerEntrySchema],
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "admin",
+    },
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// Debits and credits of a transaction always balance
+walletTransactionSchema.pre("validate", function (next) {
+  const total = (side) =>
+    this.entries
+      .filter((entry) => entry.side === side)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+  if (this.entries.length < 2 || Math.abs(total("debit") - total("credit")) > 0.001) {
+    this.invalidate("entries", "Ledger entries must balance");
+  }
+  next();
+});
+
+walletTransactionSchema.statics.SOURCES = WALLET_SOURCES;
+
+const WalletTransaction = mongoose.model("WalletTransaction", walletTransactionSchema);
+
+module.exports = WalletTransaction;
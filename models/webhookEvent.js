@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Every webhook received from a payment gateway, kept as it arrived so it can
+// be audited and replayed
+const webhookEventSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    // the gateway's own event id; an event is stored once per provider
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    rawBody: {
+      type: String,
+      required: true,
+    },
+    signature: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    processedAt: {
+      type: Date,
+    },
+    // why the event was ignored or failed
+    note: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+module.exports = WebhookEvent;
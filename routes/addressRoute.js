@@ -1,9 +1,10 @@
 const express =require("express")
 const addressRoute =express.Router()
-const { createAddress, updateAddress, getAddress, deleteAddress } = require("../controllers/addressController")
+const { createAddress, getMyAddresses, updateAddress, getAddress, deleteAddress } = require("../controllers/addressController")
 const {authMiddleware}  =require("../middleware/authMiddle")
 
 addressRoute.post("/",authMiddleware,createAddress)
+addressRoute.get("/",authMiddleware,getMyAddresses)
 addressRoute.put("/:id",authMiddleware,updateAddress)
 addressRoute.get("/:id",authMiddleware,getAddress)
 addressRoute.delete("/:id",authMiddleware,deleteAddress)
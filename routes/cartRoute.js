@@ -1,5 +1,5 @@
 const express =require("express")
-const { addToCart, getcart, deleteFromCart,updateItemQuantity, deleteCartController } = require("../controllers/cartController")
+const { addToCart, getcart, deleteFromCart,updateItemQuantity, deleteCartController, applyCoupon, removeCoupon } = require("../controllers/cartController")
 const { authMiddleware } = require("../middleware/authMiddle")
 const cartRoute = express.Router()
 
@@ -8,5 +8,7 @@ cartRoute.get("/get",authMiddleware,getcart)
 cartRoute.post("/delete",authMiddleware,deleteFromCart)
 cartRoute.put("/updateItemQuantity",authMiddleware,updateItemQuantity)
 cartRoute.delete("/deleteCart/:id",authMiddleware,deleteCartController)
+cartRoute.post("/coupon",authMiddleware,applyCoupon)
+cartRoute.delete("/coupon",authMiddleware,removeCoupon)
 
 module.exports=cartRoute
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require("express");
+const codRouter = express.Router();
+
+const {
+  updateCodStatus,
+  getCodBlocklist,
+  blockCodUser,
+  unblockCodUser,
+} = require("../controllers/codController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+codRouter
+  .put("/orders/:id", authMiddleware, isAdminMd, updateCodStatus)
+  .get("/blocklist", authMiddleware, isAdminMd, getCodBlocklist)
+  .post("/blocklist", authMiddleware, isAdminMd, blockCodUser)
+  .delete("/blocklist/:userId", authMiddleware, isAdminMd, unblockCodUser);
+
+module.exports = codRouter;
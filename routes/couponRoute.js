@@ -0,0 +1,20 @@
+const express = require("express");
+const couponRouter = express.Router();
+
+const {
+  createCoupon,
+  getAllCoupons,
+  getSingleCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+couponRouter
+  .post("/", authMiddleware, isAdminMd, createCoupon)
+  .get("/", authMiddleware, isAdminMd, getAllCoupons)
+  .get("/:_id", authMiddleware, isAdminMd, getSingleCoupon)
+  .put("/:_id", authMiddleware, isAdminMd, updateCoupon)
+  .delete("/:_id", authMiddleware, isAdminMd, deleteCoupon);
+
+module.exports = couponRouter;
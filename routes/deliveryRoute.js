@@ -0,0 +1,19 @@
+const express = require("express");
+const deliveryRoute = express.Router();
+const { checkPincode, uploadPincodes } = require("../controllers/deliveryController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+const { uploadCsv } = require("../middleware/singleFileUpload");
+
+// multer errors (wrong type, too large) as a 400 instead of a crash page
+const handleCsvUpload = (req, res, next) =>
+  uploadCsv(req, res, (error) => {
+    if (error) {
+      return res.status(400).send({ success: false, message: error.message });
+    }
+    next();
+  });
+
+deliveryRoute.get("/check/:pincode", checkPincode);
+deliveryRoute.post("/pincodes", authMiddleware, isAdminMd, handleCsvUpload, uploadPincodes);
+
+module.exports = deliveryRoute;
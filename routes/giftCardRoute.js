@@ -0,0 +1,21 @@
+const express = require("express");
+const giftCardRouter = express.Router();
+
+const {
+  checkGiftCardBalance,
+  getMyGiftCards,
+  getGiftCards,
+  issueGiftCardBatch,
+  updateGiftCardStatus,
+} = require("../controllers/giftCardController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+const { giftCardLookupLimit } = require("../middleware/rateLimit");
+
+giftCardRouter
+  .post("/check", authMiddleware, giftCardLookupLimit(), checkGiftCardBalance)
+  .get("/mine", authMiddleware, getMyGiftCards)
+  .get("/", authMiddleware, isAdminMd, getGiftCards)
+  .post("/", authMiddleware, isAdminMd, issueGiftCardBatch)
+  .put("/:_id", authMiddleware, isAdminMd, updateGiftCardStatus);
+
+module.exports = giftCardRouter;
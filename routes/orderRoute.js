@@ -1,19 +1,31 @@
 const express =require("express")
-const { createOrder, getAllOrder, getmyOrder, updateOrder, newOrder, getRecentOrder, deleteSingleOrder, getUserSingleOrder } = require("../controllers/orderController")
+const { createOrder, checkout, cancelMyOrder, listOrders, getAllOrder, getNewOrder, exportOrderList, getmyOrder, updateOrder, getRecentOrder, deleteSingleOrder, getUserSingleOrder, getInvoice } = require("../controllers/orderController")
 const { authMiddleware,isAdminMd} = require("../middleware/authMiddle")
+const { giftCardLookupLimit } = require("../middleware/rateLimit")
 
 const orderRoute = express.Router()
+// orders paying with a gift card share the balance check's limit on failed lookups
+const giftCardLimit = giftCardLookupLimit({ skip: (req) => !req.body || !req.body.giftCardCode })
 //create order 
-orderRoute.post("/createOrder",authMiddleware,createOrder)
-//admin can see the all orders
+orderRoute.post("/createOrder",authMiddleware,giftCardLimit,createOrder)
+//place an order from the user's cart
+orderRoute.post("/checkout",authMiddleware,giftCardLimit,checkout)
+//admin order listing: filters, sorting, pagination and counts per status
+orderRoute.get("/list",authMiddleware,isAdminMd,listOrders)
+//admin export of the same listing as CSV or XLSX (?format=xlsx)
+orderRoute.get("/export",authMiddleware,isAdminMd,exportOrderList)
+//admin can see the all orders (same listing)
 orderRoute.get("/getAllorder",authMiddleware,isAdminMd,getAllOrder)
 //user all order 
 orderRoute.get("/getMyOrder",authMiddleware,getmyOrder)
 
 orderRoute.put("/updateOrder/:id",authMiddleware,isAdminMd,updateOrder)
 
-//all recent order 
-orderRoute.get("/getNewOrder",authMiddleware,isAdminMd,newOrder)
+//user cancels their own order before it ships
+orderRoute.post("/:id/cancel",authMiddleware,cancelMyOrder)
+
+//all recent order (same listing, newest first)
+orderRoute.get("/getNewOrder",authMiddleware,isAdminMd,getNewOrder)
 //get recent order 
 orderRoute.get("/getRecentOrder",authMiddleware,isAdminMd,getRecentOrder)
 
@@ -24,4 +36,7 @@ orderRoute.delete("/deleteSingleItem/:_id",authMiddleware,isAdminMd,deleteSingle
 //get Single order 
 orderRoute.get("/getSingleOrder/:_id",authMiddleware,isAdminMd,getUserSingleOrder)
 
+//invoice for the order owner or an admin (?format=pdf for a PDF)
+orderRoute.get("/:id/invoice",authMiddleware,getInvoice)
+
 module.exports = orderRoute
\ No newline at end of file
@@ -1,5 +1,7 @@
 const express =require("express")
-const {paymentType,getAllPaymentType,deletePaymentType,getPaymentType,generateUpiQrcode}=require("../controllers/paymentController");
+const {paymentType,getAllPaymentType,deletePaymentType,getPaymentType,
+  getOrderPayment,submitPaymentUtr,getPaymentIntents,confirmPayment,rejectPayment,matchPaymentCredits,
+  syncOrderPayment,simulateMockPayment,receivePaymentWebhook,getWebhookEvents,replayWebhookEvent}=require("../controllers/paymentController");
 const {authMiddleware,isAdminMd}  =require("../middleware/authMiddle")
 const {upload} = require("../middleware/singleFileUpload")
 const paymentRoute =express.Router()
@@ -7,5 +9,15 @@ paymentRoute.post("/add",authMiddleware,isAdminMd,upload, paymentType);
 paymentRoute.get("/getAllPaymentType",authMiddleware,isAdminMd,getAllPaymentType);
 paymentRoute.delete("/remove/:id",authMiddleware,isAdminMd,deletePaymentType);
 paymentRoute.get("/get/:id",authMiddleware,isAdminMd,getPaymentType);
-paymentRoute.post("/generateUpiQrcode",generateUpiQrcode);
+paymentRoute.get("/orders/:orderId",authMiddleware,getOrderPayment);
+paymentRoute.post("/orders/:orderId/utr",authMiddleware,submitPaymentUtr);
+paymentRoute.post("/orders/:orderId/sync",authMiddleware,syncOrderPayment);
+paymentRoute.post("/mock/orders/:orderId/simulate",authMiddleware,simulateMockPayment);
+paymentRoute.get("/intents",authMiddleware,isAdminMd,getPaymentIntents);
+paymentRoute.post("/intents/match",authMiddleware,isAdminMd,matchPaymentCredits);
+paymentRoute.put("/intents/:id/confirm",authMiddleware,isAdminMd,confirmPayment);
+paymentRoute.put("/intents/:id/reject",authMiddleware,isAdminMd,rejectPayment);
+paymentRoute.post("/webhook/:provider",receivePaymentWebhook);
+paymentRoute.get("/webhooks",authMiddleware,isAdminMd,getWebhookEvents);
+paymentRoute.post("/webhooks/:id/replay",authMiddleware,isAdminMd,replayWebhookEvent);
 module.exports =paymentRoute ;
\ No newline at end of file
@@ -9,6 +9,18 @@ const {
   updateProduct,
   deleteProduct,
 } = require("../controllers/productController");
+const {
+  addVariant,
+  updateVariant,
+  deleteVariant,
+} = require("../controllers/variantController");
+const {
+  schedulePriceChange,
+  getPriceChanges,
+  cancelPriceChange,
+  getPriceHistory,
+  getPriceReport,
+} = require("../controllers/priceController");
 const { uploadProduct } = require("../middleware/fileUpload");
 const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
 
@@ -16,8 +28,16 @@ productRouter
   .post("/",authMiddleware,isAdminMd,uploadProduct.array("images"), createProduct)
   // .get("/", getAllProduct)
   .get("/", getProduct)
+  .get("/reports/prices",authMiddleware,isAdminMd, getPriceReport)
   .get("/:_id", getSingleProduct)
   .put("/:_id",authMiddleware,isAdminMd,uploadProduct.array("images"), updateProduct)
-  .delete("/:_id",authMiddleware,isAdminMd ,uploadProduct.array("images"), deleteProduct);
+  .delete("/:_id",authMiddleware,isAdminMd ,uploadProduct.array("images"), deleteProduct)
+  .post("/:_id/variants",authMiddleware,isAdminMd,uploadProduct.array("images"), addVariant)
+  .put("/:_id/variants/:variantId",authMiddleware,isAdminMd,uploadProduct.array("images"), updateVariant)
+  .delete("/:_id/variants/:variantId",authMiddleware,isAdminMd, deleteVariant)
+  .post("/:_id/price-changes",authMiddleware,isAdminMd, schedulePriceChange)
+  .get("/:_id/price-changes",authMiddleware,isAdminMd, getPriceChanges)
+  .delete("/:_id/price-changes/:changeId",authMiddleware,isAdminMd, cancelPriceChange)
+  .get("/:_id/price-history",authMiddleware,isAdminMd, getPriceHistory);
 
 module.exports = productRouter;
@@ -0,0 +1,20 @@
+const express = require("express");
+const promotionRouter = express.Router();
+
+const {
+  createPromotion,
+  getAllPromotions,
+  getSinglePromotion,
+  updatePromotion,
+  deletePromotion,
+} = require("../controllers/promotionController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+promotionRouter
+  .post("/", authMiddleware, isAdminMd, createPromotion)
+  .get("/", authMiddleware, isAdminMd, getAllPromotions)
+  .get("/:_id", authMiddleware, isAdminMd, getSinglePromotion)
+  .put("/:_id", authMiddleware, isAdminMd, updatePromotion)
+  .delete("/:_id", authMiddleware, isAdminMd, deletePromotion);
+
+module.exports = promotionRouter;
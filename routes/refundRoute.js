@@ -0,0 +1,16 @@
+const express = require("express");
+const refundRouter = express.Router();
+
+const {
+  getRefunds,
+  createManualRefund,
+  updateRefund,
+} = require("../controllers/refundController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+refundRouter
+  .get("/", authMiddleware, isAdminMd, getRefunds)
+  .post("/", authMiddleware, isAdminMd, createManualRefund)
+  .put("/:_id", authMiddleware, isAdminMd, updateRefund);
+
+module.exports = refundRouter;
@@ -16,6 +16,14 @@ const  ratingAndReviewRoute  = require("./ratingAndReviewRoute");
 const  searchRoute  = require("./searchRoute");
 const userDetailsRoute = require("./userDetailsRoute");
 const paymentRoute = require("../routes/paymentRoute");
+const deliveryRoute = require("./deliveryRoute");
+const shippingRouter = require("./shippingRoute");
+const couponRouter = require("./couponRoute");
+const promotionRouter = require("./promotionRoute");
+const codRouter = require("./codRoute");
+const refundRouter = require("./refundRoute");
+const walletRouter = require("./walletRoute");
+const giftCardRouter = require("./giftCardRoute");
 const router = express.Router();
 
 router.use("/categories", categoryRouter);
@@ -34,5 +42,13 @@ router.use("/ratingReview",ratingAndReviewRoute)
 router.use("/searchRoute",searchRoute)
 router.use("/userDetails",userDetailsRoute)
 router.use("/payment",paymentRoute);
+router.use("/delivery",deliveryRoute);
+router.use("/shipping",shippingRouter);
+router.use("/coupons",couponRouter);
+router.use("/promotions",promotionRouter);
+router.use("/cod",codRouter);
+router.use("/refunds",refundRouter);
+router.use("/wallet",walletRouter);
+router.use("/giftCards",giftCardRouter);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const shippingRouter = express.Router();
+
+const {
+  createShippingRule,
+  getShippingRules,
+  updateShippingRule,
+  deleteShippingRule,
+} = require("../controllers/shippingController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+shippingRouter
+  .post("/rules", authMiddleware, isAdminMd, createShippingRule)
+  .get("/rules", authMiddleware, isAdminMd, getShippingRules)
+  .put("/rules/:_id", authMiddleware, isAdminMd, updateShippingRule)
+  .delete("/rules/:_id", authMiddleware, isAdminMd, deleteShippingRule);
+
+module.exports = shippingRouter;
@@ -0,0 +1,18 @@
+const express = require("express");
+const walletRouter = express.Router();
+
+const {
+  getMyWallet,
+  getUserWallet,
+  grantCredit,
+  revokeCredit,
+} = require("../controllers/walletController");
+const { authMiddleware, isAdminMd } = require("../middleware/authMiddle");
+
+walletRouter
+  .get("/", authMiddleware, getMyWallet)
+  .get("/users/:userId", authMiddleware, isAdminMd, getUserWallet)
+  .post("/users/:userId/credit", authMiddleware, isAdminMd, grantCredit)
+  .post("/users/:userId/debit", authMiddleware, isAdminMd, revokeCredit);
+
+module.exports = walletRouter;
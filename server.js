@@ -4,9 +4,14 @@ const app = express();
 require("dotenv").config();
 require("./db/connect");
 const Router = require("./routes/rootRouter");
+const { startPriceScheduler } = require("./workers/priceScheduler");
+const { startPaymentExpiryScheduler } = require("./workers/paymentExpiryScheduler");
 const { default: helmet } = require("helmet");
 
 app.use(helmet());
+// payment webhooks are verified over the exact bytes the gateway signed, so
+// their body is left unparsed whatever its content type
+app.use("/api/v1/payment/webhook/:provider", express.raw({ type: "*/*" }));
 app.use(express.json());
 app.use(cors());
 app.use(express.static("public"));
@@ -27,3 +32,6 @@ const Port = process.env.PORT||3000
 app.listen(process.env.PORT,() => {
   console.log(`Server running on port ${Port}`);
 });
+
+startPriceScheduler();
+startPaymentExpiryScheduler();
@@ -0,0 +1,121 @@
+const Category = require("../models/Category");
+const SubCategory = require("../models/SubCategory");
+
+// Product fields that used to be validated by hard-coded category checks. They
+// are still read from the top level of the request when the schema names them,
+// so existing admin forms keep working.
+const LEGACY_ATTRIBUTES = ["color", "size", "pantSize", "footSize"];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Merged attribute definitions of a category and one of its subcategories.
+// SubCategory definitions override Category ones with the same name.
+const getAttributeSchema = async (categoryId, subCategoryId) => {
+  const [category, subCategory] = await Promise.all([
+    Category.findById(categoryId),
+    SubCategory.findById(subCategoryId),
+  ]);
+  if (!category) {
+    return { error: "Category not found" };
+  }
+  if (!subCategory) {
+    return { error: "SubCategory not found" };
+  }
+  if (subCategory.category.toString() !== category._id.toString()) {
+    return { error: "SubCategory does not belong to the selected category" };
+  }
+
+  const definitions = new Map();
+  [...category.attributes, ...subCategory.attributes].forEach((definition) =>
+    definitions.set(definition.name, definition)
+  );
+  return { definitions: [...definitions.values()] };
+};
+
+const castValue = (definition, raw) => {
+  let value;
+  if (definition.type === "number") {
+    value = Number(raw);
+    if (raw === "" || Number.isNaN(value)) {
+      return { error: `${definition.name} must be a number` };
+    }
+  } else if (definition.type === "boolean") {
+    if (raw !== true && raw !== false && raw !== "true" && raw !== "false") {
+      return { error: `${definition.name} must be true or false` };
+    }
+    value = raw === true || raw === "true";
+  } else {
+    value = String(raw).trim();
+  }
+
+  const { allowedValues } = definition;
+  if (allowedValues && allowedValues.length > 0 && !allowedValues.includes(String(value))) {
+    return {
+      error: `${definition.name} must be one of ${allowedValues.join(", ")}`,
+    };
+  }
+  return { value };
+};
+
+// Checks `attributes` against the definitions and returns them cast to their
+// declared types. With `variant: true` every attribute holds a single value,
+// required ones may be left out and names outside the schema are kept as-is.
+const validateAttributes = (definitions, attributes = {}, { variant = false } = {}) => {
+  const known = new Set(definitions.map((definition) => definition.name));
+  const result = {};
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (known.has(name)) continue;
+    if (!variant) {
+      return { error: `${name} is not an attribute of this category` };
+    }
+    result[name] = value;
+  }
+
+  for (const definition of definitions) {
+    const raw = attributes[definition.name];
+    if (isEmpty(raw)) {
+      if (definition.required && !variant) {
+        return { error: `${definition.name} is required` };
+      }
+      continue;
+    }
+
+    const values = Array.isArray(raw) ? raw : [raw];
+    if (values.length > 1 && (variant || !definition.multiple)) {
+      return { error: `${definition.name} accepts a single value` };
+    }
+
+    const castValues = [];
+    for (const item of values) {
+      const { error, value } = castValue(definition, item);
+      if (error) return { error };
+      castValues.push(value);
+    }
+    result[definition.name] =
+      definition.multiple && !variant ? castValues : castValues[0];
+  }
+
+  return { attributes: result };
+};
+
+// Attribute values sent for a product, including the legacy top-level fields
+const collectProductAttributes = (definitions, body) => {
+  const attributes = { ...body.attributes };
+  definitions.forEach(({ name }) => {
+    if (LEGACY_ATTRIBUTES.includes(name) && isEmpty(attributes[name])) {
+      attributes[name] = body[name];
+    }
+  });
+  return attributes;
+};
+
+module.exports = {
+  getAttributeSchema,
+  validateAttributes,
+  collectProductAttributes,
+};
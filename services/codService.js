@@ -0,0 +1,46 @@
+const CodBlocklist = require("../models/codBlocklist");
+
+// COD settings:
+// - COD_MAX_ORDER_VALUE: largest order total payable on delivery (default 10000)
+// - COD_FEE: fee added to COD orders (default 0)
+// - COD_REFUSAL_LIMIT: refused COD deliveries after which a user loses COD (default 2)
+const codConfig = () => ({
+  maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE || 10000),
+  fee: Number(process.env.COD_FEE || 0),
+  refusalLimit: Number(process.env.COD_REFUSAL_LIMIT || 2),
+});
+
+// Whether `userId` may pay `orderTotal` on delivery to a pincode described by
+// `delivery` (see checkServiceability). Returns `{ fee }` or `{ error }`.
+const checkCodEligibility = async ({ userId, delivery, orderTotal }) => {
+  const { maxOrderValue, fee } = codConfig();
+  if (!delivery || !delivery.serviceable || !delivery.codAvailable) {
+    return { error: "Cash on delivery is not available for this pincode" };
+  }
+  if (orderTotal > maxOrderValue) {
+    return { error: `Cash on delivery is available for orders up to ${maxOrderValue}` };
+  }
+  if (userId && (await CodBlocklist.exists({ userId, blocked: true }))) {
+    return { error: "Cash on delivery is not available for your account" };
+  }
+  return { fee };
+};
+
+// Counts a refused COD delivery; reaching the refusal limit blocks COD for the
+// user. Returns the user's updated record.
+const recordRefusal = async (userId) => {
+  const record = await CodBlocklist.findOneAndUpdate(
+    { userId },
+    { $inc: { refusals: 1 } },
+    { new: true, upsert: true }
+  );
+  if (!record.blocked && record.refusals >= codConfig().refusalLimit) {
+    record.blocked = true;
+    record.blockedAt = new Date();
+    record.reason = `${record.refusals} refused COD deliveries`;
+    await record.save();
+  }
+  return record;
+};
+
+module.exports = { codConfig, checkCodEligibility, recordRefusal };
@@ -0,0 +1,154 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/couponRedemption");
+const Order = require("../models/Order");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+const findCoupon = (code) =>
+  Coupon.findOne({ code: String(code || "").trim().toUpperCase() });
+
+// Checks that don't depend on the cart: status, validity window, usage limits
+// and the first-order flag. Returns `{}` or `{ error }`.
+const checkCouponForUser = async (coupon, userId, now = new Date()) => {
+  if (!coupon || !coupon.active) {
+    return { error: "Invalid coupon code" };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: "This coupon is not active yet" };
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    return { error: "This coupon has expired" };
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has reached its usage limit" };
+  }
+
+  const redemption = await CouponRedemption.findOne({ couponId: coupon._id, userId });
+  if (redemption && redemption.count >= coupon.perUserLimit) {
+    return { error: "You have already used this coupon" };
+  }
+  if (coupon.firstOrderOnly && (await Order.exists({ userId, status: { $nin: Order.CLOSED_STATUSES } }))) {
+    return { error: "This coupon is only valid on your first order" };
+  }
+  return {};
+};
+
+// Whether the coupon's category/brand/product scope covers `product`; never
+// a gift card
+const inScope = (coupon, product) => {
+  if (product.productType === "giftCard") {
+    return false;
+  }
+  const { categories, brands, products } = coupon;
+  if (categories.length === 0 && brands.length === 0 && products.length === 0) {
+    return true;
+  }
+  const matches = (ids, value) => ids.some((id) => idOf(id) === idOf(value));
+  return (
+    matches(categories, product.category) ||
+    matches(brands, product.brand) ||
+    matches(products, product._id)
+  );
+};
+
+// Discount the coupon gives on priced lines ({ product, quantity, unitPrice })
+// whose items add up to `subtotal`.
+// Returns `{ discount, freeShipping }` or `{ error }`.
+const couponDiscount = (coupon, lines, subtotal) => {
+  if (subtotal < coupon.minCartValue) {
+    return {
+      error: `Add items worth ${roundAmount(coupon.minCartValue - subtotal)} more to use this coupon`,
+    };
+  }
+  const eligible = lines.filter((line) => inScope(coupon, line.product));
+  if (eligible.length === 0) {
+    return { error: "This coupon does not apply to the items in your cart" };
+  }
+  const eligibleTotal = eligible.reduce(
+    (total, line) => total + line.unitPrice * line.quantity,
+    0
+  );
+
+  let discount = 0;
+  if (coupon.type === "percentage") {
+    discount = (eligibleTotal * coupon.value) / 100;
+    if (coupon.maxDiscount != null) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === "flat") {
+    discount = Math.min(coupon.value, eligibleTotal);
+  } else if (coupon.type === "buyXGetY") {
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    const unitPrices = eligible
+      .flatMap((line) => Array(line.quantity).fill(line.unitPrice))
+      .sort((a, b) => a - b);
+    const freeUnits = Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+    if (freeUnits === 0) {
+      return {
+        error: `Add ${groupSize - unitPrices.length} more eligible item(s) to use this coupon`,
+      };
+    }
+    discount = unitPrices.slice(0, freeUnits).reduce((total, price) => total + price, 0);
+  }
+
+  return {
+    discount: roundAmount(discount),
+    freeShipping: coupon.type === "freeShipping",
+  };
+};
+
+// Counts a redemption for the order against the global and the per-user limit.
+// Both are conditional updates, so concurrent orders can't exceed either.
+// Returns `{}` or `{ error }`.
+const redeemCoupon = async (coupon, userId, { orderId, discount }) => {
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { error: "This coupon has reached its usage limit" };
+  }
+
+  try {
+    // With the user's limit reached the filter misses and the upsert hits the
+    // unique index instead of adding a second document
+    await CouponRedemption.updateOne(
+      { couponId: coupon._id, userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 }, $push: { orders: { orderId, discount } } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) {
+      return { error: "You have already used this coupon" };
+    }
+    throw error;
+  }
+  return {};
+};
+
+// Gives back a redemption made by `redeemCoupon` for an order that failed or
+// was cancelled
+const releaseCoupon = async (couponId, userId, orderId) => {
+  const released = await CouponRedemption.updateOne(
+    { couponId, userId, "orders.orderId": orderId },
+    { $inc: { count: -1 }, $pull: { orders: { orderId } } }
+  );
+  if (released.modifiedCount > 0) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+  }
+};
+
+module.exports = {
+  findCoupon,
+  checkCouponForUser,
+  couponDiscount,
+  redeemCoupon,
+  releaseCoupon,
+};
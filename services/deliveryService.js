@@ -0,0 +1,143 @@
+const Pincode = require("../models/Pincode");
+const { pincodeRowSchema } = require("../validations/validation");
+
+const CSV_COLUMNS = ["pincode", "zone", "codAvailable", "minDays", "maxDays", "active"];
+const REQUIRED_COLUMNS = ["pincode", "zone", "minDays", "maxDays"];
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Serviceability of `pincode` with the expected delivery window for an order
+// placed at `from`. Unknown or paused pincodes are reported as not serviceable.
+const checkServiceability = async (pincode, from = new Date()) => {
+  const entry = await Pincode.findOne({ pincode: String(pincode || "").trim(), active: true });
+  if (!entry) {
+    return { serviceable: false, pincode };
+  }
+  return {
+    serviceable: true,
+    pincode: entry.pincode,
+    zone: entry.zone,
+    codAvailable: entry.codAvailable,
+    eta: {
+      minDays: entry.minDays,
+      maxDays: entry.maxDays,
+      from: addDays(from, entry.minDays),
+      to: addDays(from, entry.maxDays),
+    },
+  };
+};
+
+const notServiceableMessage = (pincode) => `We do not deliver to pincode ${pincode} yet`;
+
+// Splits CSV text into rows of fields. Handles quoted fields, escaped quotes
+// and CRLF line endings; blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+// Reads the admin pincode upload. The first line is a header naming the
+// columns (any order, see CSV_COLUMNS). Returns `{ rows }` with validated
+// entries, or `{ error }` / `{ errors }` describing what is wrong and where.
+const parsePincodeCsv = (text) => {
+  const [header, ...lines] = parseCsv(String(text).replace(/^\uFEFF/, ""));
+  if (!header) {
+    return { error: "The file is empty" };
+  }
+
+  const columns = header.map((name) => name.trim());
+  const unknown = columns.find((name) => !CSV_COLUMNS.includes(name));
+  if (unknown) {
+    return { error: `Unknown column "${unknown}". Expected: ${CSV_COLUMNS.join(", ")}` };
+  }
+  const missing = REQUIRED_COLUMNS.find((name) => !columns.includes(name));
+  if (missing) {
+    return { error: `Missing column "${missing}"` };
+  }
+  if (lines.length === 0) {
+    return { error: "The file has no pincodes" };
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+  lines.forEach((fields, index) => {
+    const line = index + 2;
+    const raw = {};
+    columns.forEach((name, column) => {
+      const value = (fields[column] || "").trim();
+      if (value !== "") raw[name] = value;
+    });
+
+    const { error, value } = pincodeRowSchema.validate(raw);
+    if (error) {
+      errors.push({ line, message: error.details[0].message });
+    } else if (seen.has(value.pincode)) {
+      errors.push({ line, message: `Pincode ${value.pincode} is listed more than once` });
+    } else {
+      seen.add(value.pincode);
+      rows.push(value);
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { rows };
+};
+
+// Creates or replaces the uploaded pincodes; pincodes not in the file are kept
+const importPincodes = async (rows) => {
+  const result = await Pincode.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { pincode: row.pincode },
+        update: { $set: row },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return { created: result.upsertedCount, updated: result.modifiedCount };
+};
+
+module.exports = {
+  checkServiceability,
+  notServiceableMessage,
+  parsePincodeCsv,
+  importPincodes,
+};
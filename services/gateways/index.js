@@ -0,0 +1,29 @@
+// Payment gateway adapters by provider name. Every adapter exposes:
+// - name
+// - signatureHeader: request header carrying the webhook signature
+// - createPayment({ amount, currency, receipt }) -> { gatewayPaymentId, status, checkoutUrl, ... }
+// - verifySignature({ rawBody, signature }) -> whether a webhook body, the
+//   Buffer exactly as received, is genuine
+// - parseWebhook(rawBody) -> { eventId, type, payment } or null; event types are
+//   payment.authorized, payment.captured, payment.failed and refund.processed
+// - capture(gatewayPaymentId, amount) -> payment status
+// - refund(gatewayPaymentId, amount) -> { refundId, amount, status }
+// - fetchStatus(gatewayPaymentId) -> { status, amount, amountRefunded, ... }
+// Payment statuses are created, authorized, captured, failed, refunded and
+// partially_refunded; adapters map their provider's statuses onto these and
+// throw on errors.
+// A Razorpay or PhonePe adapter is added by writing such a module and listing it here.
+const gateways = {};
+
+// The mock gateway lets anyone mark a payment as made, so it is never loaded
+// in production
+if (process.env.NODE_ENV !== "production") {
+  const mockGateway = require("./mockGateway");
+  gateways[mockGateway.name] = mockGateway;
+}
+
+// The adapter for `name`, by default PAYMENT_GATEWAY, or null. Online
+// payments stay off until PAYMENT_GATEWAY names a gateway.
+const getGateway = (name = process.env.PAYMENT_GATEWAY) => (name && gateways[name]) || null;
+
+module.exports = { getGateway };
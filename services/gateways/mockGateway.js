@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Local stand-in for a hosted payment gateway, so checkout and payments can
+// be exercised without network access. Payments live in memory only and are
+// lost on restart, after which the gateway no longer knows them. Webhooks are
+// signed with MOCK_GATEWAY_SECRET, which must be set, like a real gateway's
+// and POSTed to MOCK_GATEWAY_WEBHOOK_URL.
+const payments = new Map();
+
+const secret = () => {
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    throw new Error("MOCK_GATEWAY_SECRET is not set");
+  }
+  return process.env.MOCK_GATEWAY_SECRET;
+};
+
+const webhookUrl = () =>
+  process.env.MOCK_GATEWAY_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/v1/payment/webhook/mock`;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sign = (rawBody) => crypto.createHmac("sha256", secret()).update(rawBody).digest("hex");
+
+const findPayment = (gatewayPaymentId) => {
+  const payment = payments.get(gatewayPaymentId);
+  if (!payment) {
+    throw new Error(`Unknown mock payment ${gatewayPaymentId}`);
+  }
+  return payment;
+};
+
+const paymentStatus = (payment) => ({
+  gatewayPaymentId: payment.id,
+  status: payment.status,
+  amount: payment.amount,
+  amountRefunded: payment.amountRefunded,
+  currency: payment.currency,
+  receipt: payment.receipt,
+  failureReason: payment.failureReason,
+});
+
+// Sends a signed event to the webhook receiver. Delivery failures are only
+// logged, as a real gateway would retry later.
+const deliverWebhook = async (event, data) => {
+  const rawBody = JSON.stringify({
+    id: newId("evt"),
+    event,
+    createdAt: new Date().toISOString(),
+    payload: data,
+  });
+  try {
+    await axios.post(webhookUrl(), rawBody, {
+      headers: { "Content-Type": "application/json", "X-Mock-Signature": sign(rawBody) },
+      timeout: 5000,
+    });
+  } catch (error) {
+    console.log(`mock gateway: ${event} webhook not delivered:`, error.message);
+  }
+};
+
+const createPayment = async ({ amount, currency = "INR", receipt }) => {
+  // no payment its webhooks could not be signed for
+  secret();
+  const payment = {
+    id: newId("pay"),
+    amount: roundAmount(amount),
+    currency,
+    receipt,
+    status: "created",
+    amountRefunded: 0,
+    refunds: [],
+  };
+  payments.set(payment.id, payment);
+  return {
+    ...paymentStatus(payment),
+    checkoutUrl: `mock://checkout/${payment.id}`,
+  };
+};
+
+const verifySignature = ({ rawBody, signature }) => {
+  if (!signature || !rawBody || rawBody.length === 0) {
+    return false;
+  }
+  const expected = Buffer.from(sign(rawBody));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Event id, type and payment of a webhook body, or null when it has none
+const parseWebhook = (rawBody) => {
+  const body = JSON.parse(rawBody.toString("utf8"));
+  if (!body.id || !body.event) {
+    return null;
+  }
+  return { eventId: body.id, type: body.event, payment: body.payload || {} };
+};
+
+const capture = async (gatewayPaymentId, amount) => {
+  const payment = findPayment(gatewayPaymentId);
+  if (payment.status !== "authorized") {
+    throw new Error(`Cannot capture a ${payment.status} payment`);
+  }
+  if (amount != null && roundAmount(amount) !== payment.amount) {
+    throw new Error("Capture amount must equal the authorized amount");
+  }
+  payment.status = "captured";
+  return paymentStatus(payment);
+};
+
+const refund = async (gatewayPaymentId, amount) => {
+  const payment = findPayment(gatewayPaymentId);
+  if (!["captured", "partially_refunded"].includes(payment.status)) {
+    throw new Error(`Cannot refund a ${payment.status} payment`);
+  }
+  const refundable = roundAmount(payment.amount - payment.amountRefunded);
+  const value = roundAmount(amount ?? refundable);
+  if (value <= 0 || value > refundable) {
+    throw new Error(`Refund amount must be between 0 and ${refundable}`);
+  }
+
+  const entry = { refundId: newId("rfnd"), amount: value, status: "processed" };
+  payment.refunds.push(entry);
+  payment.amountRefunded = roundAmount(payment.amountRefunded + value);
+  payment.status = payment.amountRefunded === payment.amount ? "refunded" : "partially_refunded";
+  setImmediate(() =>
+    deliverWebhook("refund.processed", { ...paymentStatus(payment), refund: entry })
+  );
+  return { ...entry, gatewayPaymentId };
+};
+
+const fetchStatus = async (gatewayPaymentId) => paymentStatus(findPayment(gatewayPaymentId));
+
+const SIMULATED_OUTCOMES = {
+  success: { status: "captured", event: "payment.captured" },
+  authorized: { status: "authorized", event: "payment.authorized" },
+  failure: { status: "failed", event: "payment.failed" },
+};
+
+// Plays the customer's side of checkout: the payment succeeds (captured right
+// away), is only authorized (waiting for `capture`) or fails, and the matching
+// webhook is sent after `delayMs` to mimic a slow gateway. With
+// `webhook: false` nothing is sent, as when a webhook gets lost.
+const simulate = async (gatewayPaymentId, { outcome, delayMs = 0, webhook = true }) => {
+  const payment = findPayment(gatewayPaymentId);
+  const simulated = SIMULATED_OUTCOMES[outcome];
+  if (!simulated) {
+    throw new Error(`Unknown outcome ${outcome}`);
+  }
+  if (payment.status !== "created") {
+    throw new Error(`Payment is already ${payment.status}`);
+  }
+  payment.status = simulated.status;
+  if (outcome === "failure") {
+    payment.failureReason = "Payment declined by the bank (simulated)";
+  }
+
+  if (webhook) {
+    const { event } = simulated;
+    setTimeout(() => deliverWebhook(event, paymentStatus(payment)), delayMs).unref();
+  }
+  return paymentStatus(payment);
+};
+
+module.exports = {
+  name: "mock",
+  signatureHeader: "x-mock-signature",
+  createPayment,
+  verifySignature,
+  parseWebhook,
+  capture,
+  refund,
+  fetchStatus,
+  simulate,
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const GiftCard = require("../models/giftCard");
+const Order = require("../models/Order");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Gift card settings:
+// - GIFT_CARD_VALIDITY_DAYS: how long a card can be spent (default 365)
+// - GIFT_CARD_CHECK_LIMIT: failed code lookups allowed per user and per IP
+//   address in a window (default 10)
+// - GIFT_CARD_CHECK_WINDOW_MINUTES: length of that window (default 15)
+const giftCardConfig = () => ({
+  validityDays: Number(process.env.GIFT_CARD_VALIDITY_DAYS || 365),
+  checkLimit: Number(process.env.GIFT_CARD_CHECK_LIMIT || 10),
+  checkWindowMinutes: Number(process.env.GIFT_CARD_CHECK_WINDOW_MINUTES || 15),
+});
+
+// No 0/O or 1/I, so codes survive being read out or typed in
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 16;
+
+// Random card code; 16 characters of 32 symbols make codes unguessable
+const generateCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+
+// Code as typed by a customer, with spaces and dashes dropped
+const normalizeCode = (code) => String(code || "").replace(/[\s-]/g, "").toUpperCase();
+
+// Code in groups of four, e.g. 7KQ2-M9XR-4D8H-WT3C
+const formatCode = (code) => code.match(/.{1,4}/g).join("-");
+
+// Code with all but its last four characters hidden
+const maskCode = (code) => `XXXX-XXXX-XXXX-${code.slice(-4)}`;
+
+const expiryFrom = (now, validityDays = giftCardConfig().validityDays) =>
+  new Date(now.getTime() + validityDays * DAY_MS);
+
+const findGiftCard = (code) => GiftCard.findOne({ code: normalizeCode(code) });
+
+// Whether `card` can be spent. Returns `{}` or `{ error }`.
+const checkGiftCard = (card, now = new Date()) => {
+  if (!card || card.status !== "active") {
+    return { error: "Invalid gift card code" };
+  }
+  if (card.expiresAt <= now) {
+    return { error: "This gift card has expired" };
+  }
+  if (card.balance <= 0) {
+    return { error: "This gift card has no balance left" };
+  }
+  return {};
+};
+
+// Whether an amount spent from `card` can be put back on it: it is still
+// active and has not expired
+const canTakeBack = (card, now = new Date()) =>
+  Boolean(card && card.status === "active" && card.expiresAt > now);
+
+// What a customer gets to see of a card; the code only when `showCode` is set
+const describeGiftCard = (card, { showCode = false } = {}) => ({
+  code: showCode ? formatCode(card.code) : maskCode(card.code),
+  initialValue: card.initialValue,
+  balance: card.balance,
+  expiresAt: card.expiresAt,
+  status: card.expiresAt <= new Date() ? "expired" : card.status,
+});
+
+// Issues `count` cards worth `value` each as one batch. Returns the cards.
+const issueGiftCards = ({ count, value, expiresAt, note, issuedBy }, now = new Date()) => {
+  const batchId = `GC${now.getTime().toString(36).toUpperCase()}`;
+  const cards = Array.from({ length: count }, () => ({
+    code: generateCode(),
+    initialValue: value,
+    balance: value,
+    expiresAt: expiresAt || expiryFrom(now),
+    source: "bulk",
+    batchId,
+    issuedBy,
+    note,
+  }));
+  return GiftCard.insertMany(cards);
+};
+
+// Issues the cards bought with a paid order, one per unit of each gift card
+// line; none for a cancelled order. Cards already issued for the order are
+// kept, so this may be called again for the same order. Returns the order's
+// cards.
+const issuePurchasedGiftCards = async (orderId, now = new Date()) => {
+  const order = await Order.findOne({
+    _id: orderId,
+    status: { $nin: Order.CLOSED_STATUSES },
+    "orderItems.giftCard.value": { $gt: 0 },
+  });
+  if (!order) {
+    return [];
+  }
+
+  const cards = [];
+  for (const item of order.orderItems) {
+    if (!item.giftCard || !item.giftCard.value) continue;
+    for (let unit = 1; unit <= item.quantity; unit++) {
+      cards.push({
+        code: generateCode(),
+        initialValue: item.giftCard.value,
+        balance: item.giftCard.value,
+        expiresAt: expiryFrom(now, item.giftCard.validityDays),
+        source: "purchase",
+        orderId: order._id,
+        orderItemId: item._id,
+        unit,
+        purchasedBy: order.userId,
+      });
+    }
+  }
+  try {
+    await GiftCard.insertMany(cards, { ordered: false });
+  } catch (error) {
+    // Units issued by an earlier call hit the unique index; the rest went in
+    if (error.code !== 11000) throw error;
+  }
+  return GiftCard.find({ orderId: order._id }).sort({ orderItemId: 1, unit: 1 });
+};
+
+// Spends `amount` of a card on an order. The status, expiry and balance checks
+// are part of the update, so concurrent orders can't overspend a card.
+// Returns `{ card }` or `{ error }`.
+const redeemGiftCard = async (cardId, amount, { orderId }, now = new Date()) => {
+  const value = roundAmount(amount);
+  const card = await GiftCard.findOneAndUpdate(
+    { _id: cardId, status: "active", expiresAt: { $gt: now }, balance: { $gte: value } },
+    {
+      $inc: { balance: -value },
+      $push: { transactions: { type: "redeem", amount: value, orderId, at: now } },
+    },
+    { new: true }
+  );
+  if (!card) {
+    return { error: "This gift card can no longer cover the amount" };
+  }
+  return { card };
+};
+
+// Puts `amount` spent on an order back on the card. Returns the card.
+const reverseRedemption = (cardId, amount, { orderId }, now = new Date()) => {
+  const value = roundAmount(amount);
+  return GiftCard.findOneAndUpdate(
+    { _id: cardId },
+    {
+      $inc: { balance: value },
+      $push: { transactions: { type: "reversal", amount: value, orderId, at: now } },
+    },
+    { new: true }
+  );
+};
+
+// Whether any card bought with the order has been spent from
+const orderGiftCardsUsed = (orderId) =>
+  GiftCard.exists({ orderId, $expr: { $lt: ["$balance", "$initialValue"] } });
+
+// Enables the cards of an order that disableOrderGiftCards disabled
+const enableOrderGiftCards = (orderId) =>
+  GiftCard.updateMany(
+    { orderId, status: "disabled", disabledForOrder: orderId },
+    { $set: { status: "active" }, $unset: { disabledForOrder: 1 } }
+  );
+
+// Disables the unspent cards bought with an order, e.g. before it is
+// cancelled. A card is only disabled while its balance is untouched, and a
+// disabled card can't be spent, so a card spent at the same moment is either
+// left active or never spent; the check after the update sees every spend.
+// Returns whether none of the cards had been spent. If some had, the cards
+// are enabled again.
+const disableOrderGiftCards = async (orderId) => {
+  await GiftCard.updateMany(
+    { orderId, status: "active", $expr: { $eq: ["$balance", "$initialValue"] } },
+    { $set: { status: "disabled", disabledForOrder: orderId } }
+  );
+  if (await orderGiftCardsUsed(orderId)) {
+    await enableOrderGiftCards(orderId);
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  giftCardConfig,
+  normalizeCode,
+  formatCode,
+  maskCode,
+  findGiftCard,
+  checkGiftCard,
+  canTakeBack,
+  describeGiftCard,
+  issueGiftCards,
+  issuePurchasedGiftCards,
+  redeemGiftCard,
+  reverseRedemption,
+  orderGiftCardsUsed,
+  enableOrderGiftCards,
+  disableOrderGiftCards,
+};
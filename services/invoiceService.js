@@ -0,0 +1,269 @@
+const PDFDocument = require("pdfkit");
+const PaymentHistory = require("../models/paymentHistory");
+
+const seller = () => ({
+  name: process.env.SELLER_NAME || "Planet Clothing",
+  address: process.env.SELLER_ADDRESS || "",
+  gstin: process.env.SELLER_GSTIN || "",
+});
+
+// GST rate (%) included in the prices of orders placed before GST was
+// stored per order line
+const legacyGstRate = () => Number(process.env.GST_RATE || 0);
+
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+
+const escapeHtml = (value) =>
+  String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const describeAttributes = (attributes) =>
+  attributes
+    ? [...attributes.entries()].map(([name, value]) => `${name}: ${value}`).join(", ")
+    : "";
+
+// GST of an older order line without a stored breakdown: the legacy rate
+// included in `amount`, with no CGST/SGST/IGST split
+const legacyTax = (amount, rate) => {
+  const taxableValue = amount / (1 + rate / 100);
+  return { rate, taxableValue, cgst: null, sgst: null, igst: null, total: amount - taxableValue };
+};
+
+const sumOf = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+// How an order without a recorded payment was paid
+const fallbackReference = (order) => {
+  const giftCard = order.giftCardAmount || 0;
+  const wallet = order.walletAmount || 0;
+  if (giftCard + wallet > 0 && giftCard + wallet >= order.totalPrice) {
+    if (giftCard > 0 && wallet > 0) return "Gift card and store credit";
+    return giftCard > 0 ? `Gift card ${order.giftCard.code}` : "Store credit";
+  }
+  return order.paymentMethod === "COD" ? "Cash on delivery" : "Not paid";
+};
+
+// Invoice data for an order whose `address` is populated. Line items, their
+// GST and the billing address come from the order snapshot, so later product,
+// tax or address edits don't change issued invoices.
+const buildInvoice = async (order) => {
+  const paymentReference = await PaymentHistory.referenceForOrder(order._id);
+
+  const lines = order.orderItems.map((item) => {
+    const tax =
+      item.tax && item.tax.total != null
+        ? item.tax
+        : legacyTax((item.finalPrice || 0) * item.quantity, legacyGstRate());
+    return {
+      name: item.name || "Item",
+      sku: item.sku || "",
+      hsnCode: tax.hsnCode || "",
+      attributes: describeAttributes(item.attributes),
+      quantity: item.quantity,
+      unitPrice: item.finalPrice || 0,
+      taxableValue: tax.taxableValue,
+      gstRate: tax.rate,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      tax: tax.total,
+      amount: tax.taxableValue + tax.total,
+    };
+  });
+  const delivery =
+    order.tax && order.tax.shipping
+      ? order.tax.shipping.toObject()
+      : legacyTax(order.deliveryCharges || 0, legacyGstRate());
+  const taxed = [...lines, { ...delivery, tax: delivery.total }];
+
+  const address = order.billingAddress || order.address || {};
+  const shipTo = order.shippingAddress || order.address || {};
+  return {
+    number: order.orderNumber || order._id.toString(),
+    date: order.createdAt || order.orderDate,
+    seller: seller(),
+    billTo: {
+      name: address.name,
+      mobile: address.mobile,
+      email: address.email,
+      address: [address.fullAddress, address.Landmark, address.district, address.state, address.Pincode]
+        .filter(Boolean)
+        .join(", "),
+    },
+    placeOfSupply: shipTo.state || "",
+    lines,
+    couponDiscount: order.couponDiscount || 0,
+    deliveryCharges: order.deliveryCharges || 0,
+    codFee: order.codFee || 0,
+    pricesIncludeTax: !(order.tax && order.tax.pricesIncludeTax === false),
+    taxableValue: sumOf(taxed, "taxableValue"),
+    cgst: sumOf(taxed, "cgst"),
+    sgst: sumOf(taxed, "sgst"),
+    igst: sumOf(taxed, "igst"),
+    totalTax: sumOf(taxed, "tax"),
+    total: order.totalPrice,
+    paymentReference: paymentReference || fallbackReference(order),
+  };
+};
+
+// Invoice total lines, shared by the HTML and PDF versions
+const totalLines = (invoice) => {
+  const rows = [];
+  if (invoice.couponDiscount > 0) {
+    rows.push(["Coupon Discount (in item amounts)", invoice.couponDiscount]);
+  }
+  rows.push(["Delivery Charges", invoice.deliveryCharges]);
+  if (invoice.codFee > 0) {
+    rows.push(["COD Fee", invoice.codFee]);
+  }
+  rows.push(["Taxable Value", invoice.taxableValue]);
+  if (invoice.cgst || invoice.sgst) {
+    rows.push(["CGST", invoice.cgst], ["SGST", invoice.sgst]);
+  }
+  if (invoice.igst) {
+    rows.push(["IGST", invoice.igst]);
+  }
+  rows.push([invoice.pricesIncludeTax ? "Total GST (included)" : "Total GST", invoice.totalTax]);
+  return rows;
+};
+
+const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.name)}<br><small>${escapeHtml(line.sku)} ${escapeHtml(line.attributes)}</small></td>
+          <td>${escapeHtml(line.hsnCode)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${formatAmount(line.unitPrice)}</td>
+          <td class="num">${formatAmount(line.taxableValue)}</td>
+          <td class="num">${formatAmount(line.tax)}<br><small>@ ${line.gstRate}%</small></td>
+          <td class="num">${formatAmount(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+  const totals = totalLines(invoice)
+    .map(([label, amount]) => `${escapeHtml(label)}: ${formatAmount(amount)}<br>`)
+    .join("\n    ");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; margin: 32px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+  </style>
+</head>
+<body>
+  <h2>Tax Invoice</h2>
+  <p>
+    <strong>${escapeHtml(invoice.seller.name)}</strong><br>
+    ${escapeHtml(invoice.seller.address)}<br>
+    GSTIN: ${escapeHtml(invoice.seller.gstin)}
+  </p>
+  <p>
+    Invoice No: ${escapeHtml(invoice.number)}<br>
+    Date: ${escapeHtml(new Date(invoice.date).toDateString())}<br>
+    Place of Supply: ${escapeHtml(invoice.placeOfSupply)}<br>
+    Payment Reference: ${escapeHtml(invoice.paymentReference)}
+  </p>
+  <p>
+    <strong>Bill To</strong><br>
+    ${escapeHtml(invoice.billTo.name)}<br>
+    ${escapeHtml(invoice.billTo.address)}<br>
+    ${escapeHtml(invoice.billTo.mobile)} ${escapeHtml(invoice.billTo.email)}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th>HSN</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit Price</th>
+        <th class="num">Taxable Value</th>
+        <th class="num">GST</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <p class="num">
+    ${totals}
+    <strong>Total (INR): ${formatAmount(invoice.total)}</strong>
+  </p>
+</body>
+</html>`;
+};
+
+// Writes the invoice as a PDF into `stream` (e.g. the HTTP response)
+const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(18).text("Tax Invoice");
+  doc.moveDown(0.5).fontSize(10);
+  doc.text(invoice.seller.name).text(invoice.seller.address).text(`GSTIN: ${invoice.seller.gstin}`);
+  doc.moveDown();
+  doc.text(`Invoice No: ${invoice.number}`);
+  doc.text(`Date: ${new Date(invoice.date).toDateString()}`);
+  doc.text(`Place of Supply: ${invoice.placeOfSupply}`);
+  doc.text(`Payment Reference: ${invoice.paymentReference}`);
+  doc.moveDown();
+  doc.text("Bill To:").text(invoice.billTo.name || "").text(invoice.billTo.address);
+  doc.text(`${invoice.billTo.mobile || ""} ${invoice.billTo.email || ""}`);
+  doc.moveDown();
+
+  const columns = [
+    { label: "Item", x: 40, width: 150 },
+    { label: "HSN", x: 195, width: 50 },
+    { label: "Qty", x: 250, width: 30 },
+    { label: "Unit Price", x: 285, width: 65 },
+    { label: "Taxable", x: 355, width: 65 },
+    { label: "GST", x: 425, width: 55 },
+    { label: "Amount", x: 485, width: 70 },
+  ];
+  const writeRow = (values) => {
+    const y = doc.y;
+    let height = 0;
+    values.forEach((value, index) => {
+      const { x, width } = columns[index];
+      doc.text(String(value), x, y, { width, align: index <= 1 ? "left" : "right" });
+      height = Math.max(height, doc.y - y);
+    });
+    doc.x = 40;
+    doc.y = y + height + 4;
+  };
+
+  writeRow(columns.map((column) => column.label));
+  invoice.lines.forEach((line) =>
+    writeRow([
+      [line.name, line.sku, line.attributes].filter(Boolean).join(" "),
+      line.hsnCode,
+      line.quantity,
+      formatAmount(line.unitPrice),
+      formatAmount(line.taxableValue),
+      `${formatAmount(line.tax)} @ ${line.gstRate}%`,
+      formatAmount(line.amount),
+    ])
+  );
+
+  doc.moveDown();
+  const totals = { width: 515, align: "right" };
+  doc.x = 40;
+  totalLines(invoice).forEach(([label, amount]) =>
+    doc.text(`${label}: ${formatAmount(amount)}`, totals)
+  );
+  doc.fontSize(12).text(`Total (INR): ${formatAmount(invoice.total)}`, totals);
+
+  doc.end();
+};
+
+module.exports = { buildInvoice, renderInvoiceHtml, renderInvoicePdf };
@@ -0,0 +1,135 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const Order = require("../models/Order");
+const PaymentHistory = require("../models/paymentHistory");
+const { withLegacyItemDetails } = require("./orderQueryService");
+
+const BATCH_SIZE = 200;
+
+const COLUMNS = [
+  { header: "Order Number", width: 18 },
+  { header: "Order Date", width: 22 },
+  { header: "Customer Phone", width: 14 },
+  { header: "Name", width: 20 },
+  { header: "Mobile", width: 14 },
+  { header: "Address", width: 40 },
+  { header: "Landmark", width: 20 },
+  { header: "District", width: 16 },
+  { header: "State", width: 16 },
+  { header: "Pincode", width: 10 },
+  { header: "Product", width: 30 },
+  { header: "Variant", width: 24 },
+  { header: "Quantity", width: 10 },
+  { header: "Unit Price", width: 12 },
+  { header: "Line Total", width: 12 },
+  { header: "Order Total", width: 12 },
+  { header: "Status", width: 12 },
+  { header: "Payment Reference", width: 20 },
+];
+
+const describeVariant = (item) =>
+  [
+    item.sku,
+    ...Object.entries(item.attributes || {}).map(([name, value]) => `${name}: ${value}`),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+// One row per order line, in COLUMNS order
+const orderRows = (order, paymentReference) => {
+  // Older orders have no snapshot; fall back to the linked Address
+  const address = order.shippingAddress || order.address || {};
+  return order.orderItems.map((item) => [
+    order.orderNumber || order._id.toString(),
+    new Date(order.createdAt).toISOString(),
+    order.userId ? order.userId.phone : "",
+    address.name,
+    address.mobile,
+    address.fullAddress,
+    address.Landmark,
+    address.district,
+    address.state,
+    address.Pincode,
+    item.name,
+    describeVariant(item),
+    item.quantity,
+    item.finalPrice,
+    item.finalPrice != null ? item.finalPrice * item.quantity : null,
+    order.totalPrice,
+    order.status,
+    paymentReference || "",
+  ]);
+};
+
+// Text starting like a formula (=, +, -, @, tab or CR) gets a leading quote,
+// so spreadsheet apps show customer-entered values instead of running them
+const csvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(",")}\r\n`;
+
+// Rows of a batch of orders, with their payment references looked up together
+async function* batchRows(orders) {
+  const [references] = await Promise.all([
+    PaymentHistory.referencesForOrders(orders.map((order) => order._id)),
+    withLegacyItemDetails(orders),
+  ]);
+  for (const order of orders) {
+    yield* orderRows(order, references.get(order._id.toString()));
+  }
+}
+
+// Orders matching `filter`, read in batches from a cursor so large date ranges
+// never sit in memory at once
+async function* orderLines(filter, sort) {
+  const cursor = Order.find(filter)
+    .sort(sort)
+    .populate({ path: "userId", select: "phone" })
+    .populate({ path: "address" })
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const order of cursor) {
+    batch.push(order);
+    if (batch.length === BATCH_SIZE) {
+      yield* batchRows(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield* batchRows(batch);
+  }
+}
+
+const writeCsv = async (filter, sort, stream) => {
+  stream.write(csvLine(COLUMNS.map((column) => column.header)));
+  for await (const row of orderLines(filter, sort)) {
+    if (!stream.write(csvLine(row))) {
+      await once(stream, "drain");
+    }
+  }
+  stream.end();
+};
+
+const writeXlsx = async (filter, sort, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const sheet = workbook.addWorksheet("Orders");
+  sheet.columns = COLUMNS.map(({ header, width }) => ({ header, width }));
+  for await (const row of orderLines(filter, sort)) {
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Streams the matching orders into `stream` as "csv" or "xlsx"
+const exportOrders = ({ filter, sort, format, stream }) =>
+  format === "xlsx" ? writeXlsx(filter, sort, stream) : writeCsv(filter, sort, stream);
+
+module.exports = { exportOrders };
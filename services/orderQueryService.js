@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Address = require("../models/userAddress");
+const Product = require("../models/Product");
+
+const SORT_FIELDS = {
+  date: "createdAt",
+  total: "totalPrice",
+};
+
+// A date-only `to` (2026-10-19) covers that whole day. Date-only values parse
+// as UTC midnight, so the day ends in UTC too.
+const endOfRange = (value, raw) => {
+  const date = new Date(value);
+  if (typeof raw === "string" && raw.length === 10) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// MongoDB filter for the admin order listing/export, built from the validated
+// query (see orderListQuerySchema). Values are cast explicitly so the same
+// filter works in aggregations. The status filter is returned separately so
+// per-status counts can be computed over everything else.
+// Returns `{ filter, statusFilter }` or `{ error }`.
+const buildOrderFilter = async (query, rawQuery = {}) => {
+  const filter = {};
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = endOfRange(query.to, rawQuery.to);
+  }
+  if (query.userId) {
+    filter.userId = new mongoose.Types.ObjectId(query.userId);
+  }
+  if (query.productId) {
+    filter["orderItems.productId"] = new mongoose.Types.ObjectId(query.productId);
+  }
+  if (query.minAmount != null || query.maxAmount != null) {
+    filter.totalPrice = {};
+    if (query.minAmount != null) filter.totalPrice.$gte = query.minAmount;
+    if (query.maxAmount != null) filter.totalPrice.$lte = query.maxAmount;
+  }
+  if (query.pincode) {
+    // Orders placed before address snapshots only link to the Address
+    const addressIds = await Address.find({ Pincode: query.pincode }).distinct("_id");
+    filter.$or = [
+      { "shippingAddress.Pincode": query.pincode },
+      { shippingAddress: { $exists: false }, address: { $in: addressIds } },
+    ];
+  }
+
+  let statusFilter = {};
+  if (query.status) {
+    const statuses = query.status.split(",").map((status) => status.trim());
+    const unknown = statuses.find((status) => !Order.STATUSES.includes(status));
+    if (unknown) {
+      return { error: `Invalid order status: ${unknown}` };
+    }
+    statusFilter = { status: { $in: statuses } };
+  }
+
+  return { filter, statusFilter };
+};
+
+const buildOrderSort = (query) => ({
+  [SORT_FIELDS[query.sortBy]]: query.sortOrder === "asc" ? 1 : -1,
+  _id: query.sortOrder === "asc" ? 1 : -1,
+});
+
+// { Processed: 4, shipped: 2, ... } for the orders matching `filter`
+const countByStatus = async (filter) => {
+  const groups = await Order.aggregate([
+    { $match: filter },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(Order.STATUSES.map((status) => [status, 0]));
+  groups.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+// Fills in the name and image of order lines saved before line snapshots
+// existed from their product, with one query for all of `orders` (plain
+// objects). Returns `orders`.
+const withLegacyItemDetails = async (orders) => {
+  const legacyItems = orders.flatMap((order) =>
+    (order.orderItems || []).filter((item) => !item.name && item.productId)
+  );
+  if (legacyItems.length === 0) {
+    return orders;
+  }
+  const products = await Product.find(
+    { _id: { $in: legacyItems.map((item) => item.productId) } },
+    "name images"
+  ).lean();
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+  for (const item of legacyItems) {
+    const product = byId.get(item.productId.toString());
+    if (product) {
+      item.name = product.name;
+      item.image = item.image || (product.images || [])[0];
+    }
+  }
+  return orders;
+};
+
+module.exports = { buildOrderFilter, buildOrderSort, countByStatus, withLegacyItemDetails };
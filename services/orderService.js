@@ -0,0 +1,539 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Address = require("../models/userAddress");
+const Product = require("../models/Product");
+const PaymentHistory = require("../models/paymentHistory");
+const PaymentIntent = require("../models/paymentIntent");
+const GiftCard = require("../models/giftCard");
+const Counter = require("../models/Counter");
+const {
+  resolveVariant,
+  adjustStock,
+  reserveStock,
+  plainAttributes,
+} = require("./variantService");
+const { priceLines } = require("./pricingService");
+const { checkServiceability, notServiceableMessage } = require("./deliveryService");
+const { checkCodEligibility } = require("./codService");
+const {
+  upiConfig,
+  newPaymentIntent,
+  newGatewayPaymentIntent,
+  syncGatewayPayment,
+} = require("./paymentIntentService");
+const { getGateway } = require("./gateways");
+const { createRefund } = require("./refundService");
+const { getBalance, debitWallet, creditWallet } = require("./walletService");
+const {
+  maskCode,
+  findGiftCard,
+  checkGiftCard,
+  canTakeBack,
+  issuePurchasedGiftCards,
+  redeemGiftCard,
+  reverseRedemption,
+  enableOrderGiftCards,
+  disableOrderGiftCards,
+} = require("./giftCardService");
+const {
+  findCoupon,
+  checkCouponForUser,
+  redeemCoupon,
+  releaseCoupon,
+} = require("./couponService");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Loads the products behind the requested items and checks them against live
+// stock. Returns `{ lines }` or `{ status, error }`.
+const prepareLines = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, error: "No products to order" };
+  }
+
+  const lines = [];
+  for (const { productId, variantId, quantity } of items) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return { status: 400, error: "product id is not valid " };
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return { status: 400, error: "Product is not available" };
+    }
+
+    const line = resolveVariant(product, variantId);
+    if (line.error) {
+      return { status: 400, error: line.error };
+    }
+    if (line.stock < quantity) {
+      return { status: 401, error: "Stock not available" };
+    }
+    lines.push({ product, variantId, quantity });
+  }
+  return { lines };
+};
+
+// Next sequential order number of the current year, e.g. PB-2026-000123.
+// The counter is bumped atomically, so concurrent orders never share a number.
+const nextOrderNumber = async () => {
+  const year = new Date().getFullYear();
+  const bump = () =>
+    Counter.findOneAndUpdate(
+      { _id: `order-${year}` },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+  let counter;
+  try {
+    counter = await bump();
+  } catch (error) {
+    // Two first orders of the year raced to create the counter; it exists now
+    if (error.code !== 11000) throw error;
+    counter = await bump();
+  }
+  return `PB-${year}-${String(counter.seq).padStart(6, "0")}`;
+};
+
+// The user's address `addressId`, or their default one flagged by
+// `defaultFlag` when no id is given. Returns `{ address }` or `{ status, error }`.
+const resolveAddress = async (userId, addressId, defaultFlag) => {
+  if (addressId) {
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+      return { status: 400, error: "address id not valid" };
+    }
+    const address = await Address.findOne({ _id: addressId, userId });
+    if (!address) {
+      return { status: 401, error: "Address is not found" };
+    }
+    return { address };
+  }
+  const address = await Address.findOne({ userId, [defaultFlag]: true });
+  return { address };
+};
+
+const snapshotAddress = (address) => ({
+  name: address.name,
+  mobile: address.mobile,
+  email: address.email,
+  Pincode: address.Pincode,
+  Landmark: address.Landmark,
+  district: address.district,
+  state: address.state,
+  addressAs: address.addressAs,
+  fullAddress: address.fullAddress,
+});
+
+// Order line with the product details and unit prices at purchase time, from
+// a line priced by `priceLines`
+const snapshotLine = ({ product, variantId, quantity, unitPrice, promotions, tax }) => {
+  const { variant } = resolveVariant(product, variantId);
+  const variantImage = variant && variant.images.length > 0 ? variant.images[0] : null;
+  return {
+    productId: product._id,
+    variantId,
+    quantity,
+    name: product.name,
+    image: variantImage || product.images[0],
+    sku: variant ? variant.sku : undefined,
+    attributes: variant ? plainAttributes(variant.attributes) : undefined,
+    basePrice: product.basePrice,
+    finalPrice: unitPrice,
+    discount: product.basePrice - unitPrice,
+    promotions,
+    tax,
+    giftCard:
+      product.productType === "giftCard"
+        ? { value: product.giftCard.value, validityDays: product.giftCard.validityDays }
+        : undefined,
+  };
+};
+
+// Prices `lines` as an order for them is charged: shipping for the `delivery`
+// zone and `shippingMethod`, GST split by `shipToState`, the `coupon`, and
+// with `paymentMethod` "COD" the COD fee. `cod` tells whether the order may be
+// paid on delivery: `{ fee }` or `{ error }`. The cart summary is priced here
+// too, so it quotes what checkout charges.
+// Returns `{ summary, shipping, tax, lines, cod }` or `{ error }`.
+const quoteOrder = async (
+  lines,
+  { userId, delivery, shipToState, shippingMethod, coupon, paymentMethod }
+) => {
+  const priced = await priceLines(lines, {
+    zone: delivery && delivery.zone,
+    method: shippingMethod,
+    coupon,
+    shipToState,
+  });
+  if (priced.error) {
+    return priced;
+  }
+  const { summary } = priced;
+  // Cash on delivery has its own eligibility rules and an optional fee
+  const cod = await checkCodEligibility({ userId, delivery, orderTotal: summary.totalPrice });
+  summary.codFee = paymentMethod === "COD" && !cod.error ? cod.fee : 0;
+  summary.totalPrice += summary.codFee;
+  return { ...priced, cod };
+};
+
+// Gives back stock taken by `reserveStock` for lines of an order that failed
+const releaseStock = async (items) => {
+  for (const item of items) {
+    await adjustStock(item.productId, item.variantId, item.quantity);
+  }
+};
+
+// Creates an order for `items` ({ productId, variantId, quantity }) priced with
+// the cart pricing and shipping rules for `shippingMethod`, shipped to
+// `addressId` (default: the user's default shipping address) and billed to
+// `billingAddressId` (default: the default billing address, else the shipping
+// address), with `couponCode` applied if given, paid by `paymentMethod` ("UPI",
+// "ONLINE" through the payment gateway, or "COD", which must pass the COD
+// rules). The gift card `giftCardCode` pays first, then with `useWallet` the
+// user's store credit, and the payment method only covers the rest. Stock is
+// reserved line by line with conditional updates before the order is saved,
+// then the coupon and gift card are redeemed and the wallet debited; if any
+// line runs out, the coupon is used up, a balance is gone or the save fails,
+// whatever was already taken is given back so stock never goes negative.
+// UPI and online orders with an amount due get a payment intent to pay it by;
+// gift cards bought with an order paid in full are issued straight away.
+// Returns `{ order, summary, delivery, paymentIntent }` or `{ status, error }`,
+// with `giftCardLookupFailed` set when the gift card code was refused.
+const placeOrder = async ({
+  userId,
+  addressId,
+  billingAddressId,
+  shippingMethod = "standard",
+  couponCode,
+  paymentMethod = "UPI",
+  giftCardCode,
+  useWallet = false,
+  items,
+}) => {
+  if (paymentMethod === "UPI" && !upiConfig().payeeId) {
+    return { status: 503, error: "UPI payments are not available right now" };
+  }
+  const gateway = paymentMethod === "ONLINE" ? getGateway() : null;
+  if (paymentMethod === "ONLINE" && !gateway) {
+    return { status: 503, error: "Online payments are not available right now" };
+  }
+
+  const shipping = await resolveAddress(userId, addressId, "isDefaultShipping");
+  if (shipping.error) {
+    return shipping;
+  }
+  if (!shipping.address) {
+    return { status: 400, error: "Please select a shipping address" };
+  }
+  // Billing falls back to the default billing address, then to the shipping one
+  const billing = await resolveAddress(userId, billingAddressId, "isDefaultBilling");
+  if (billing.error) {
+    return billing;
+  }
+  const shippingAddress = shipping.address;
+  const billingAddress = billing.address || shippingAddress;
+
+  const delivery = await checkServiceability(shippingAddress.Pincode);
+  if (!delivery.serviceable) {
+    return { status: 400, error: notServiceableMessage(shippingAddress.Pincode) };
+  }
+
+  const { status, error, lines } = await prepareLines(items);
+  if (error) {
+    return { status, error };
+  }
+
+  let giftCard = null;
+  if (giftCardCode) {
+    if (lines.some((line) => line.product.productType === "giftCard")) {
+      return { status: 400, error: "Gift cards can't be bought with a gift card" };
+    }
+    giftCard = await findGiftCard(giftCardCode);
+    const { error: giftCardError } = checkGiftCard(giftCard);
+    if (giftCardError) {
+      return { status: 400, error: giftCardError, giftCardLookupFailed: true };
+    }
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    coupon = await findCoupon(couponCode);
+    const { error: couponError } = await checkCouponForUser(coupon, userId);
+    if (couponError) {
+      return { status: 400, error: couponError };
+    }
+  }
+
+  const priced = await quoteOrder(lines, {
+    userId,
+    delivery,
+    shipToState: shippingAddress.state,
+    shippingMethod,
+    coupon,
+    paymentMethod,
+  });
+  if (priced.error) {
+    return { status: 400, error: priced.error };
+  }
+  if (paymentMethod === "COD" && priced.cod.error) {
+    return { status: 400, error: priced.cod.error };
+  }
+  const { summary, shipping: shippingQuote, tax } = priced;
+  summary.giftCardAmount = giftCard
+    ? roundAmount(Math.min(giftCard.balance, summary.totalPrice))
+    : 0;
+  const remaining = roundAmount(summary.totalPrice - summary.giftCardAmount);
+  summary.walletAmount = useWallet
+    ? roundAmount(Math.min(await getBalance(userId), remaining))
+    : 0;
+  summary.amountDue = roundAmount(remaining - summary.walletAmount);
+  const paidInFull = summary.amountDue === 0;
+  const orderItems = priced.lines.map(snapshotLine);
+
+  const reserved = [];
+  let redeemedOrderId = null;
+  let giftCardOrderId = null;
+  let walletDebited = false;
+  let paymentIntent = null;
+  let order;
+  // Gives back whatever the order has taken so far
+  const rollBack = async () => {
+    await releaseStock(reserved);
+    if (redeemedOrderId) {
+      await releaseCoupon(coupon._id, userId, redeemedOrderId);
+    }
+    if (giftCardOrderId) {
+      await reverseRedemption(giftCard._id, summary.giftCardAmount, { orderId: giftCardOrderId });
+    }
+    if (walletDebited) {
+      await creditWallet(userId, summary.walletAmount, {
+        source: "orderReversal",
+        reason: "Order could not be placed",
+      });
+    }
+    if (paymentIntent) {
+      await PaymentIntent.deleteOne({ _id: paymentIntent._id });
+    }
+  };
+  try {
+    for (const item of orderItems) {
+      const available = await reserveStock(
+        item.productId,
+        item.variantId,
+        item.quantity
+      );
+      if (!available) {
+        await rollBack();
+        return { status: 401, error: "Stock not available" };
+      }
+      reserved.push(item);
+    }
+
+    order = new Order({
+      orderNumber: await nextOrderNumber(),
+      userId,
+      orderItems,
+      address: shippingAddress._id,
+      shippingAddress: snapshotAddress(shippingAddress),
+      billingAddress: snapshotAddress(billingAddress),
+      subtotal: summary.subtotal,
+      discount: summary.discount,
+      promotionDiscount: summary.promotionDiscount,
+      coupon: coupon
+        ? { couponId: coupon._id, code: coupon.code, type: coupon.type }
+        : undefined,
+      couponDiscount: summary.couponDiscount,
+      deliveryCharges: summary.deliveryCharges,
+      shipping: { method: shippingQuote.method, rule: shippingQuote.rule },
+      tax: { ...tax.totals, shipping: tax.shipping },
+      paymentMethod,
+      giftCard: summary.giftCardAmount > 0
+        ? { giftCardId: giftCard._id, code: maskCode(giftCard.code) }
+        : undefined,
+      giftCardAmount: summary.giftCardAmount,
+      walletAmount: summary.walletAmount,
+      paymentStatus: paidInFull ? "paid" : "pending",
+      paidAt: paidInFull ? new Date() : undefined,
+      codFee: summary.codFee,
+      cod: paymentMethod === "COD" && !paidInFull ? { status: "pending" } : undefined,
+      totalPrice: summary.totalPrice,
+      statusHistory: [{ status: "Processed", actor: "customer", changedBy: userId }],
+    });
+
+    if (coupon) {
+      const redeemed = await redeemCoupon(coupon, userId, {
+        orderId: order._id,
+        discount: summary.couponDiscount,
+      });
+      if (redeemed.error) {
+        await rollBack();
+        return { status: 400, error: redeemed.error };
+      }
+      redeemedOrderId = order._id;
+    }
+    if (summary.giftCardAmount > 0) {
+      const spent = await redeemGiftCard(giftCard._id, summary.giftCardAmount, {
+        orderId: order._id,
+      });
+      if (spent.error) {
+        await rollBack();
+        return { status: 409, error: spent.error };
+      }
+      giftCardOrderId = order._id;
+    }
+    if (summary.walletAmount > 0) {
+      const debited = await debitWallet(userId, summary.walletAmount, {
+        source: "order",
+        reason: `Paid towards order ${order.orderNumber}`,
+        orderId: order._id,
+      });
+      if (debited.error) {
+        await rollBack();
+        return { status: 409, error: debited.error };
+      }
+      walletDebited = true;
+    }
+    if (paymentMethod === "UPI" && !paidInFull) {
+      paymentIntent = await newPaymentIntent(order).save();
+    } else if (gateway && !paidInFull) {
+      paymentIntent = await (await newGatewayPaymentIntent(order, gateway)).save();
+    }
+    await order.save();
+  } catch (error) {
+    await rollBack();
+    throw error;
+  }
+  if (paidInFull) {
+    await issuePurchasedGiftCards(order._id);
+  }
+  return { order, summary, delivery, paymentIntent };
+};
+
+// Cancels an order that has not shipped yet, or with `status: "RTO"` closes
+// one whose delivery was refused. Puts its units back in stock, gives back
+// its coupon redemption, disables the gift cards bought with it, flags its
+// verified payments for refund and refunds what was paid: the gift card
+// part back to the card while it can still be spent, store credit back to
+// the wallet, the rest to where it came from. An order whose gift cards have
+// been spent from can't be cancelled.
+// Returns `{ order, refunds }` or `{ status, error }`.
+const cancelOrder = async (order, { actor, changedBy, reason, status = "cancelled" }) => {
+  const transitionError = order.changeStatus(status, {
+    actor,
+    changedBy,
+    note: reason,
+  });
+  if (transitionError) {
+    return { status: 400, error: transitionError };
+  }
+  // The cards go first, so none can be spent once the order is cancelled
+  if (!(await disableOrderGiftCards(order._id))) {
+    return { status: 400, error: "Gift cards bought with this order have already been used" };
+  }
+  order.cancellationReason = reason;
+  // Saved before restocking: the version check stops a concurrent status change
+  try {
+    await order.save();
+  } catch (error) {
+    await enableOrderGiftCards(order._id);
+    throw error;
+  }
+
+  await releaseStock(order.orderItems);
+  if (order.coupon && order.coupon.couponId) {
+    await releaseCoupon(order.coupon.couponId, order.userId, order._id);
+  }
+  // Only verified payments are owed back; UTRs nobody has checked yet are
+  // cancelled along with their intents
+  await PaymentHistory.updateMany(
+    { orderId: order._id, status: { $in: ["PROCESSED", "COMPLETED"] } },
+    { $set: { status: "REFUND_PENDING" } }
+  );
+  await PaymentHistory.updateMany(
+    { orderId: order._id, status: "PENDING" },
+    { $set: { status: "CANCELLED" } }
+  );
+  await PaymentIntent.updateMany(
+    { orderId: order._id, status: { $in: ["created", "submitted"] } },
+    { $set: { status: "cancelled" } }
+  );
+  const createdBy = actor === "admin" ? changedBy : undefined;
+  const refunds = [];
+  if (order.giftCardAmount > 0) {
+    const card = await GiftCard.findById(order.giftCard.giftCardId);
+    const { refund } = await createRefund(order, {
+      amount: order.giftCardAmount,
+      method: canTakeBack(card) ? "giftCard" : "storeCredit",
+      source: "cancellation",
+      createdBy,
+    });
+    if (refund) refunds.push(refund);
+  }
+  if (order.walletAmount > 0) {
+    const { refund } = await createRefund(order, {
+      amount: order.walletAmount,
+      method: "storeCredit",
+      source: "cancellation",
+      createdBy,
+    });
+    if (refund) refunds.push(refund);
+  }
+  const { refund } = await createRefund(order, { source: "cancellation", createdBy });
+  if (refund) refunds.push(refund);
+
+  return { order, refunds };
+};
+
+// Cancels the order of a payment intent that failed or expired, which
+// releases its stock and coupon. Returns `{ order }` or `{ status, error }`.
+const closeUnpaidOrder = async (intent, reason) => {
+  const order = await Order.findById(intent.orderId);
+  if (!order) {
+    return { status: 404, error: "Order not found" };
+  }
+  if (order.status === "cancelled") {
+    return { order };
+  }
+  order.paymentStatus = "failed";
+  return cancelOrder(order, { actor: "system", reason });
+};
+
+// Expires payment intents nobody paid before their expiry and closes their
+// orders. Gateway payments are checked with the gateway first, in case their
+// webhook never came. Each intent is claimed with a conditional update, so
+// several instances may run this together. Returns how many expired.
+const expireUnpaidOrders = async (now = new Date()) => {
+  const due = await PaymentIntent.find({ status: "created", expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(500);
+
+  let expired = 0;
+  for (const intent of due) {
+    if (intent.provider !== "upi") {
+      const synced = await syncGatewayPayment(intent).catch(() => ({}));
+      if (synced.outcome === "paid") continue;
+      if (synced.outcome === "failed") {
+        await closeUnpaidOrder(intent, "Payment failed");
+        continue;
+      }
+    }
+    const claimed = await PaymentIntent.updateOne(
+      { _id: intent._id, status: "created" },
+      { $set: { status: "expired" } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    await closeUnpaidOrder(intent, "Payment not received in time");
+    expired++;
+  }
+  return { expired };
+};
+
+module.exports = {
+  resolveAddress,
+  quoteOrder,
+  placeOrder,
+  cancelOrder,
+  closeUnpaidOrder,
+  expireUnpaidOrders,
+};
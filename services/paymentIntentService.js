@@ -0,0 +1,347 @@
+const QRCode = require("qrcode");
+const Order = require("../models/Order");
+const PaymentIntent = require("../models/paymentIntent");
+const PaymentHistory = require("../models/paymentHistory");
+const { getGateway } = require("./gateways");
+const { issuePurchasedGiftCards } = require("./giftCardService");
+
+const MINUTE_MS = 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// What is left to pay on an order after its gift card and store credit
+const amountDue = (order) =>
+  roundAmount(order.totalPrice - (order.giftCardAmount || 0) - (order.walletAmount || 0));
+
+// UPI settings:
+// - UPI_PAYEE_ID: UPI id (VPA) orders are paid to
+// - UPI_PAYEE_NAME: payee name shown in the UPI app (default SELLER_NAME)
+// - PAYMENT_INTENT_TTL_MINUTES: time to pay before the order is released (default 30)
+const upiConfig = () => ({
+  payeeId: process.env.UPI_PAYEE_ID || "",
+  payeeName: process.env.UPI_PAYEE_NAME || process.env.SELLER_NAME || "",
+  ttlMinutes: Number(process.env.PAYMENT_INTENT_TTL_MINUTES || 30),
+});
+
+const generateTransactionRef = () => {
+  const timestamp = Date.now().toString();
+  const uniquePart = Math.floor(100000 + Math.random() * 900000).toString();
+  return "T" + timestamp.slice(-6) + uniquePart;
+};
+
+const buildUpiString = ({ payeeId, payeeName, amount, transactionRef, note }) =>
+  `upi://pay?pa=${encodeURIComponent(payeeId)}&pn=${encodeURIComponent(payeeName)}` +
+  `&am=${encodeURIComponent(amount.toFixed(2))}&tr=${encodeURIComponent(transactionRef)}` +
+  `&tn=${encodeURIComponent(note)}&cu=INR`;
+
+// Builds (unsaved) the payment intent of a UPI order
+const newPaymentIntent = (order, now = new Date()) => {
+  const { payeeId, payeeName, ttlMinutes } = upiConfig();
+  const transactionRef = generateTransactionRef();
+  const amount = amountDue(order);
+  return new PaymentIntent({
+    orderId: order._id,
+    userId: order.userId,
+    amount,
+    payeeId,
+    payeeName,
+    transactionRef,
+    upiString: buildUpiString({
+      payeeId,
+      payeeName,
+      amount,
+      transactionRef,
+      note: `Order ${order.orderNumber}`,
+    }),
+    expiresAt: new Date(now.getTime() + ttlMinutes * MINUTE_MS),
+  });
+};
+
+// Creates the gateway payment of an order paid online and builds (unsaved)
+// its payment intent
+const newGatewayPaymentIntent = async (order, gateway, now = new Date()) => {
+  const { ttlMinutes } = upiConfig();
+  const transactionRef = generateTransactionRef();
+  const amount = amountDue(order);
+  const payment = await gateway.createPayment({
+    amount,
+    currency: "INR",
+    receipt: transactionRef,
+  });
+  return new PaymentIntent({
+    orderId: order._id,
+    userId: order.userId,
+    amount,
+    provider: gateway.name,
+    gatewayPaymentId: payment.gatewayPaymentId,
+    checkoutUrl: payment.checkoutUrl,
+    transactionRef,
+    expiresAt: new Date(now.getTime() + ttlMinutes * MINUTE_MS),
+  });
+};
+
+// What the customer needs to pay an intent: the UPI link and its QR code, or
+// the gateway checkout
+const describeIntent = async (intent) => ({
+  intentId: intent._id,
+  orderId: intent.orderId,
+  provider: intent.provider,
+  status: intent.status,
+  amount: intent.amount,
+  currency: intent.currency,
+  transactionRef: intent.transactionRef,
+  upiString: intent.upiString,
+  qrCode:
+    intent.upiString && intent.status === "created"
+      ? await QRCode.toDataURL(intent.upiString)
+      : undefined,
+  checkoutUrl: intent.checkoutUrl,
+  expiresAt: intent.expiresAt,
+  utrNumber: intent.utrNumber,
+});
+
+// Records the UTR the customer got from their bank for `intent`. It is checked
+// by an admin or the matcher before the order counts as paid.
+// Returns `{ intent }` or `{ status, error }`.
+const submitUtr = async (intent, utrNumber, now = new Date()) => {
+  if (intent.provider !== "upi") {
+    return { status: 400, error: "This order is paid through the payment gateway" };
+  }
+  if (intent.status !== "created") {
+    return { status: 400, error: `This payment is already ${intent.status}` };
+  }
+  if (intent.expiresAt <= now) {
+    return { status: 400, error: "This payment has expired" };
+  }
+
+  let submitted;
+  try {
+    submitted = await PaymentIntent.findOneAndUpdate(
+      { _id: intent._id, status: "created", expiresAt: { $gt: now } },
+      { $set: { status: "submitted", utrNumber, submittedAt: now } },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 409, error: "This UTR has already been used for another payment" };
+    }
+    throw error;
+  }
+  if (!submitted) {
+    return { status: 409, error: "This payment can no longer be updated" };
+  }
+
+  await PaymentHistory.create({
+    userId: submitted.userId,
+    orderId: submitted.orderId,
+    utrNumber: Number(utrNumber),
+    transactionId: submitted.transactionRef,
+    amount: String(submitted.amount),
+    status: "PENDING",
+  });
+  return { intent: submitted };
+};
+
+// Marks a submitted intent paid, along with its payment history entry and
+// its order, and issues the gift cards bought with the order.
+// `source` is "admin" or "matcher".
+// Returns `{ intent }` or `{ status, error }`.
+const confirmPaymentIntent = async (intentId, { source, confirmedBy }, now = new Date()) => {
+  const intent = await PaymentIntent.findOneAndUpdate(
+    { _id: intentId, status: "submitted" },
+    { $set: { status: "paid", confirmedAt: now, confirmationSource: source, confirmedBy } },
+    { new: true }
+  );
+  if (!intent) {
+    return { status: 400, error: "Only a payment with a submitted UTR can be confirmed" };
+  }
+
+  await PaymentHistory.updateMany(
+    { orderId: intent.orderId, transactionId: intent.transactionRef, status: "PENDING" },
+    { $set: { status: "COMPLETED" } }
+  );
+  await Order.updateOne(
+    { _id: intent.orderId },
+    { $set: { paymentStatus: "paid", paidAt: now } }
+  );
+  await issuePurchasedGiftCards(intent.orderId, now);
+  return { intent };
+};
+
+// Marks a submitted intent failed (the UTR did not check out). The caller
+// closes the order. Returns `{ intent }` or `{ status, error }`.
+const rejectPaymentIntent = async (intentId, { reason, confirmedBy }, now = new Date()) => {
+  const intent = await PaymentIntent.findOneAndUpdate(
+    { _id: intentId, status: "submitted" },
+    { $set: { status: "failed", failureReason: reason, confirmedAt: now, confirmedBy } },
+    { new: true }
+  );
+  if (!intent) {
+    return { status: 400, error: "Only a payment with a submitted UTR can be rejected" };
+  }
+
+  await PaymentHistory.updateMany(
+    { orderId: intent.orderId, transactionId: intent.transactionRef, status: "PENDING" },
+    { $set: { status: "FAILED" } }
+  );
+  return { intent };
+};
+
+// Confirms submitted intents against credits from the bank statement
+// ({ utrNumber, amount }). A credit matches the intent carrying its UTR when
+// the amounts agree; everything else is left for an admin to review.
+// Returns `{ matched, unmatched }`.
+const matchPayments = async (credits, { confirmedBy } = {}) => {
+  const matched = [];
+  const unmatched = [];
+  for (const credit of credits) {
+    const intent = await PaymentIntent.findOne({ utrNumber: credit.utrNumber, status: "submitted" });
+    if (!intent) {
+      unmatched.push({ ...credit, reason: "No submitted payment with this UTR" });
+      continue;
+    }
+    if (Math.abs(intent.amount - credit.amount) >= 0.01) {
+      unmatched.push({ ...credit, reason: `Amount differs from the expected ${intent.amount}` });
+      continue;
+    }
+    const result = await confirmPaymentIntent(intent._id, { source: "matcher", confirmedBy });
+    if (result.error) {
+      unmatched.push({ ...credit, reason: result.error });
+    } else {
+      matched.push({ ...credit, intentId: intent._id, orderId: intent.orderId });
+    }
+  }
+  return { matched, unmatched };
+};
+
+// Why a captured payment can't pay its intent, or null when it can: the
+// gateway took another amount or currency than the order asked for
+const captureMismatch = (intent, payment) => {
+  if (payment.currency && payment.currency !== intent.currency) {
+    return `Payment was made in ${payment.currency}, expected ${intent.currency}`;
+  }
+  if (!(Math.abs(Number(payment.amount) - intent.amount) < 0.01)) {
+    return `Amount ${payment.amount} differs from the expected ${intent.amount}`;
+  }
+  return null;
+};
+
+// Applies the gateway's view of a payment ({ status, amount, currency,
+// failureReason }) to its intent: a captured payment pays the order and
+// issues the gift cards bought with it, a failed one fails the intent and the
+// caller closes the order. A capture of the wrong amount or currency fails
+// the intent too, with the money taken flagged for refund.
+// Only an open intent changes, so the same status can be applied any number
+// of times. A payment captured after its intent was closed is flagged for
+// refund instead ("late").
+// Returns `{ intent, outcome }`, outcome being "paid", "failed", "late" or "pending".
+const applyGatewayPayment = async (intent, payment, now = new Date()) => {
+  if (payment.status !== "captured" && payment.status !== "failed") {
+    return { intent, outcome: "pending" };
+  }
+  const mismatch = payment.status === "captured" ? captureMismatch(intent, payment) : null;
+  const paid = payment.status === "captured" && !mismatch;
+  const updated = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: "created" },
+    {
+      $set: paid
+        ? { status: "paid", confirmedAt: now, confirmationSource: "gateway" }
+        : {
+            status: "failed",
+            failureReason: mismatch || payment.failureReason || "Payment failed",
+          },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await PaymentIntent.findById(intent._id);
+    if (
+      payment.status === "captured" &&
+      current &&
+      ["failed", "expired", "cancelled"].includes(current.status)
+    ) {
+      await PaymentHistory.updateOne(
+        { provider: current.provider, transactionId: current.gatewayPaymentId },
+        {
+          $setOnInsert: {
+            userId: current.userId,
+            orderId: current.orderId,
+            amount: String(payment.amount ?? current.amount),
+            status: "REFUND_PENDING",
+          },
+        },
+        { upsert: true }
+      );
+      return { intent: current, outcome: "late" };
+    }
+    return { intent: current || intent, outcome: "pending" };
+  }
+
+  if (mismatch) {
+    // Money was taken all the same; closing the order refunds it
+    await PaymentHistory.create({
+      userId: updated.userId,
+      orderId: updated.orderId,
+      provider: updated.provider,
+      transactionId: updated.gatewayPaymentId,
+      amount: String(payment.amount ?? updated.amount),
+      status: "REFUND_PENDING",
+    });
+    return { intent: updated, outcome: "failed" };
+  }
+  await PaymentHistory.create({
+    userId: updated.userId,
+    orderId: updated.orderId,
+    provider: updated.provider,
+    transactionId: updated.gatewayPaymentId,
+    amount: String(updated.amount),
+    status: paid ? "COMPLETED" : "FAILED",
+  });
+  if (paid) {
+    await Order.updateOne(
+      { _id: updated.orderId },
+      { $set: { paymentStatus: "paid", paidAt: now } }
+    );
+    await issuePurchasedGiftCards(updated.orderId, now);
+  }
+  return { intent: updated, outcome: paid ? "paid" : "failed" };
+};
+
+// Asks the gateway how an intent's payment stands, capturing it if it is only
+// authorized, and applies the answer. Useful when a webhook is late or lost.
+// Returns `{ intent, outcome }` or `{ status, error }`.
+const syncGatewayPayment = async (intent) => {
+  const gateway = getGateway(intent.provider);
+  if (!gateway) {
+    return { status: 400, error: "This payment is not made through a payment gateway" };
+  }
+  let payment;
+  try {
+    payment = await gateway.fetchStatus(intent.gatewayPaymentId);
+    if (payment.status === "authorized" && intent.status === "created") {
+      payment = await gateway.capture(intent.gatewayPaymentId, intent.amount);
+    }
+  } catch (error) {
+    // e.g. a payment the gateway has no record of; the intent is left as it is
+    return {
+      status: 502,
+      error: `The payment gateway could not confirm this payment: ${error.message}`,
+    };
+  }
+  return applyGatewayPayment(intent, payment);
+};
+
+module.exports = {
+  upiConfig,
+  generateTransactionRef,
+  buildUpiString,
+  newPaymentIntent,
+  newGatewayPaymentIntent,
+  describeIntent,
+  applyGatewayPayment,
+  syncGatewayPayment,
+  submitUtr,
+  confirmPaymentIntent,
+  rejectPaymentIntent,
+  matchPayments,
+};
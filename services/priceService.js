@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const PriceChange = require("../models/priceChange");
+const PriceHistory = require("../models/priceHistory");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage off the base price, as stored in Product.discountPrice
+const discountPercent = (basePrice, finalPrice) =>
+  basePrice > 0 ? Math.round(((basePrice - finalPrice) / basePrice) * 100) : 0;
+
+// Logs the product's current prices to its price history
+const recordPrice = (product, { source, changedBy, priceChangeId, changedAt } = {}) =>
+  PriceHistory.create({
+    productId: product._id,
+    basePrice: product.basePrice,
+    finalPrice: product.finalPrice,
+    discountPrice: product.discountPrice,
+    source,
+    changedBy,
+    priceChangeId,
+    changedAt,
+  });
+
+const pricesChanged = (product, { basePrice, finalPrice }) =>
+  (basePrice != null && basePrice !== product.basePrice) ||
+  (finalPrice != null && finalPrice !== product.finalPrice);
+
+// A claim older than this is taken to be from a worker that died mid-way
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Changes that are due and not being applied by a live worker
+const dueFilter = (now) => ({
+  effectiveAt: { $lte: now },
+  $or: [
+    { status: "scheduled" },
+    { status: "applying", claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+  ],
+});
+
+// Applies one due change. The change is claimed with a conditional update
+// first, so two workers never apply it at once, and only marked applied once
+// the product is saved. Returns the updated change.
+const applyPriceChange = async (change, now = new Date()) => {
+  const claimed = await PriceChange.findOneAndUpdate(
+    { _id: change._id, ...dueFilter(now) },
+    { $set: { status: "applying", claimedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const settle = (update) =>
+    PriceChange.findOneAndUpdate(
+      { _id: claimed._id, status: "applying", claimedAt: now },
+      { ...update, $unset: { claimedAt: 1 } },
+      { new: true }
+    );
+  const fail = (reason) => settle({ $set: { status: "failed", failureReason: reason } });
+
+  try {
+    const product = await Product.findById(claimed.productId);
+    if (!product) {
+      return fail("Product not found");
+    }
+    product.basePrice = claimed.basePrice;
+    product.finalPrice = claimed.finalPrice;
+    product.discountPrice = discountPercent(claimed.basePrice, claimed.finalPrice);
+    try {
+      await product.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return fail(error.message);
+      }
+      throw error;
+    }
+
+    await recordPrice(product, {
+      source: "scheduled",
+      changedBy: claimed.createdBy,
+      priceChangeId: claimed._id,
+      changedAt: now,
+    });
+  } catch (error) {
+    // Hand the change back so the next run picks it up again
+    await settle({ $set: { status: "scheduled" } });
+    throw error;
+  }
+  return settle({ $set: { status: "applied", appliedAt: now } });
+};
+
+// Applies every scheduled change that is due, oldest first.
+// Returns how many were applied and how many failed.
+const applyDuePriceChanges = async (now = new Date()) => {
+  const due = await PriceChange.find(dueFilter(now)).sort({ effectiveAt: 1 }).limit(500);
+
+  let applied = 0;
+  let failed = 0;
+  for (const change of due) {
+    const result = await applyPriceChange(change, now);
+    if (result && result.status === "applied") applied++;
+    if (result && result.status === "failed") failed++;
+  }
+  return { applied, failed };
+};
+
+// Lowest final price the product had over the last `days` days, counting the
+// price already in effect when the window opened
+const lowestPriceInDays = async (product, days = 30, now = new Date()) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const [inWindow, before] = await Promise.all([
+    PriceHistory.find({ productId: product._id, changedAt: { $gte: since } })
+      .sort({ finalPrice: 1 })
+      .limit(1),
+    PriceHistory.findOne({ productId: product._id, changedAt: { $lt: since } }).sort({
+      changedAt: -1,
+    }),
+  ]);
+
+  return Math.min(
+    product.finalPrice,
+    ...[...inWindow, before].filter(Boolean).map((entry) => entry.finalPrice)
+  );
+};
+
+// Per-product price movement between `from` and `to` for the admin report:
+// number of changes, first/last/lowest/highest final price. Optional filters
+// are `productId` and `source`.
+const priceReport = async ({ from, to, productId, source }) => {
+  const match = {};
+  if (from || to) {
+    match.changedAt = {};
+    if (from) match.changedAt.$gte = new Date(from);
+    if (to) match.changedAt.$lte = new Date(to);
+  }
+  if (productId) match.productId = new mongoose.Types.ObjectId(productId);
+  if (source) match.source = source;
+
+  return PriceHistory.aggregate([
+    { $match: match },
+    { $sort: { changedAt: 1 } },
+    {
+      $group: {
+        _id: "$productId",
+        changes: { $sum: 1 },
+        firstPrice: { $first: "$finalPrice" },
+        lastPrice: { $last: "$finalPrice" },
+        lowestPrice: { $min: "$finalPrice" },
+        highestPrice: { $max: "$finalPrice" },
+        lastChangedAt: { $last: "$changedAt" },
+      },
+    },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        changes: 1,
+        firstPrice: 1,
+        lastPrice: 1,
+        lowestPrice: 1,
+        highestPrice: 1,
+        lastChangedAt: 1,
+        "product.name": 1,
+        "product.basePrice": 1,
+        "product.finalPrice": 1,
+      },
+    },
+    { $sort: { lastChangedAt: -1 } },
+  ]);
+};
+
+module.exports = {
+  discountPercent,
+  recordPrice,
+  pricesChanged,
+  applyPriceChange,
+  applyDuePriceChanges,
+  lowestPriceInDays,
+  priceReport,
+};
@@ -0,0 +1,92 @@
+const { resolveVariant } = require("./variantService");
+const { quoteShipping } = require("./shippingService");
+const { couponDiscount } = require("./couponService");
+const { activePromotions, promotionalPrice } = require("./promotionService");
+const { computeTax } = require("./taxService");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Cart/order lines ({ product, variantId, quantity }) with their list price
+// and their unit price after `promotions`
+const priceEachLine = (lines, promotions) =>
+  lines.map((line) => {
+    const { price = line.product.finalPrice } = resolveVariant(line.product, line.variantId);
+    const sale = promotionalPrice(line.product, price, promotions);
+    return { ...line, listPrice: price, unitPrice: sale.price, promotions: sale.promotions };
+  });
+
+// Item totals of priced lines: `discount` is the products' own markdown,
+// `promotionDiscount` what automatic promotions take off on top of it
+const priceItems = (pricedLines) => {
+  let total = 0;
+  let listTotal = 0;
+  let subtotal = 0;
+  pricedLines.forEach(({ product, quantity, listPrice, unitPrice }) => {
+    total += product.basePrice * quantity;
+    listTotal += listPrice * quantity;
+    subtotal += unitPrice * quantity;
+  });
+  return {
+    total,
+    discount: total - listTotal,
+    promotionDiscount: roundAmount(listTotal - subtotal),
+    subtotal: roundAmount(subtotal),
+  };
+};
+
+// Prices cart/order lines into the order summary shown in the cart: item
+// totals after running promotions, the `coupon` discount (a Coupon already
+// checked for the user), the delivery charge of the shipping rule matching
+// `zone` and `method`, and GST for delivery to `shipToState`. Orders are
+// charged exactly this amount.
+// Returns `{ summary, shipping, tax, lines }` with the priced lines (each with
+// its `tax`), or `{ error }`.
+const priceLines = async (lines, { zone, method = "standard", coupon, shipToState } = {}) => {
+  const pricedLines = priceEachLine(lines, await activePromotions());
+  const items = priceItems(pricedLines);
+
+  let couponDiscountAmount = 0;
+  let freeShipping = false;
+  if (coupon) {
+    const applied = couponDiscount(coupon, pricedLines, items.subtotal);
+    if (applied.error) {
+      return { error: applied.error };
+    }
+    couponDiscountAmount = applied.discount;
+    freeShipping = applied.freeShipping;
+  }
+
+  const shipping = await quoteShipping({ lines, subtotal: items.subtotal, zone, method });
+  if (shipping.error) {
+    return { error: shipping.error };
+  }
+  if (freeShipping) {
+    shipping.charge = 0;
+    shipping.rule = { ...shipping.rule, freeShipping: true };
+  }
+
+  const tax = await computeTax(pricedLines, {
+    shipToState,
+    couponDiscount: couponDiscountAmount,
+    deliveryCharges: shipping.charge,
+  });
+
+  return {
+    summary: {
+      ...items,
+      couponCode: coupon ? coupon.code : undefined,
+      couponDiscount: couponDiscountAmount,
+      deliveryCharges: shipping.charge,
+      shippingMethod: shipping.method,
+      tax: tax.totals,
+      totalPrice: roundAmount(
+        items.subtotal - couponDiscountAmount + shipping.charge + tax.extraCharge
+      ),
+    },
+    shipping,
+    tax,
+    lines: pricedLines.map((line, index) => ({ ...line, tax: tax.lines[index] })),
+  };
+};
+
+module.exports = { priceLines };
@@ -0,0 +1,81 @@
+const Promotion = require("../models/Promotion");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// Promotions running at `now`, in the order they are applied
+const activePromotions = (now = new Date()) =>
+  Promotion.find({
+    active: true,
+    startsAt: { $lte: now },
+    endsAt: { $gte: now },
+  }).sort({ priority: 1, createdAt: 1 });
+
+// Gift cards are never discounted, or they could be turned into cheaper credit
+const appliesTo = (promotion, product, price) => {
+  if (product.productType === "giftCard" || price < promotion.minItemPrice) {
+    return false;
+  }
+  const { categories, subCategories, brands, products } = promotion;
+  if (
+    categories.length === 0 &&
+    subCategories.length === 0 &&
+    brands.length === 0 &&
+    products.length === 0
+  ) {
+    return true;
+  }
+  const matches = (ids, value) => ids.some((id) => idOf(id) === idOf(value));
+  return (
+    matches(categories, product.category) ||
+    matches(subCategories, product.subCategory) ||
+    matches(brands, product.brand) ||
+    matches(products, product._id)
+  );
+};
+
+// Unit price of a product (or one of its variants, priced `price`) after the
+// `promotions` from `activePromotions`. They are tried in priority order:
+// stackable ones compound on the reduced price, while a non-stackable one
+// applies alone - it wins when it comes first and is skipped once another
+// promotion has applied.
+// Returns `{ price, promotions: [{ promotionId, name, discount }] }`.
+const promotionalPrice = (product, price, promotions) => {
+  let salePrice = price;
+  const applied = [];
+  for (const promotion of promotions) {
+    if (!appliesTo(promotion, product, price)) continue;
+    if (applied.length > 0 && !promotion.stackable) continue;
+
+    let discount =
+      promotion.type === "percentage"
+        ? (salePrice * promotion.value) / 100
+        : promotion.value;
+    if (promotion.maxDiscount != null) {
+      discount = Math.min(discount, promotion.maxDiscount);
+    }
+    discount = roundAmount(Math.min(discount, salePrice));
+
+    salePrice = roundAmount(salePrice - discount);
+    applied.push({ promotionId: promotion._id, name: promotion.name, discount });
+    if (!promotion.stackable) break;
+  }
+  return { price: salePrice, promotions: applied };
+};
+
+// Adds `salePrice` and the applied `promotions` to a product record from
+// `withAvailability` and to each of its available variants
+const withPromotions = (record, promotions) => {
+  const sale = promotionalPrice(record, record.finalPrice, promotions);
+  record.salePrice = sale.price;
+  record.promotions = sale.promotions;
+  (record.availableVariants || []).forEach((variant) => {
+    const variantSale = promotionalPrice(record, variant.price, promotions);
+    variant.salePrice = variantSale.price;
+    variant.promotions = variantSale.promotions;
+  });
+  return record;
+};
+
+module.exports = { activePromotions, promotionalPrice, withPromotions };
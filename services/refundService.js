@@ -0,0 +1,190 @@
+const Order = require("../models/Order");
+const Refund = require("../models/refund");
+const PaymentHistory = require("../models/paymentHistory");
+const { getGateway } = require("./gateways");
+const { creditWallet } = require("./walletService");
+const { reverseRedemption } = require("./giftCardService");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Payment history statuses of money actually received; PENDING is a UTR the
+// customer sent that nobody has verified yet
+const RECEIVED = ["PROCESSED", "COMPLETED", "REFUND_PENDING", "REFUNDED"];
+
+// Payments that brought money in for the order, newest first
+const receivedPayments = (orderId) =>
+  PaymentHistory.find({ orderId, status: { $in: RECEIVED } }).sort({ createdAt: -1 });
+
+// What the customer paid for the order: gift card and store credit, plus the
+// collected cash of a COD order or the received payments of any other
+const amountPaid = (order, payments) => {
+  const prepaid = (order.giftCardAmount || 0) + (order.walletAmount || 0);
+  if (order.paymentMethod === "COD") {
+    const collected = order.cod && order.cod.status === "collected";
+    return roundAmount(prepaid + (collected ? order.totalPrice - prepaid : 0));
+  }
+  return roundAmount(
+    prepaid + payments.reduce((total, payment) => total + (Number(payment.amount) || 0), 0)
+  );
+};
+
+// Refunds go back the way the order was paid: to the payment, as a bank
+// transfer for cash, and as store credit when only the wallet paid
+const defaultMethod = (order, payment) => {
+  if (order.paymentMethod === "COD") {
+    return order.cod && order.cod.status === "collected" ? "bankTransfer" : "storeCredit";
+  }
+  return payment ? "original" : "storeCredit";
+};
+
+// Gateway that took `payment`, or null for manual UPI transfers and cash
+const gatewayOf = (payment) =>
+  payment && payment.provider && payment.provider !== "upi" ? getGateway(payment.provider) : null;
+
+// Once completed refunds cover everything paid, the payments count as refunded
+const markPaymentsRefunded = async (order) => {
+  const [payments, completed] = await Promise.all([
+    receivedPayments(order._id),
+    Refund.find({ orderId: order._id, status: "completed" }, "amount"),
+  ]);
+  const refunded = completed.reduce((total, refund) => total + refund.amount, 0);
+  if (refunded >= amountPaid(order, payments) - 0.001) {
+    await PaymentHistory.updateMany(
+      { orderId: order._id, status: { $in: RECEIVED } },
+      { $set: { status: "REFUNDED" } }
+    );
+  }
+};
+
+// Refunds `amount` of an order (default: everything paid and not yet
+// refunded), capped at what is left to refund. The cap is claimed on the order
+// with a conditional update, so concurrent refunds never give back more than
+// was paid. `method` defaults to the way the order was paid. Refunds to a
+// gateway payment, to store credit or back to the order's gift card are made
+// straight away.
+// Returns `{ refund }` or `{ status, error }`.
+const createRefund = async (order, { amount, method, source, returnOrderId, note, createdBy } = {}) => {
+  const [payments, current] = await Promise.all([
+    receivedPayments(order._id),
+    Order.findById(order._id, "refundedAmount"),
+  ]);
+  const paid = amountPaid(order, payments);
+  const refundable = roundAmount(paid - ((current && current.refundedAmount) || 0));
+  if (refundable <= 0) {
+    return { status: 400, error: "Nothing left to refund on this order" };
+  }
+  const value = roundAmount(Math.min(amount ?? refundable, refundable));
+  const payment = payments[0];
+  const gateway = gatewayOf(payment);
+  const refundMethod = method || defaultMethod(order, payment);
+  if (refundMethod === "giftCard" && !(order.giftCard && order.giftCard.giftCardId)) {
+    return { status: 400, error: "This order was not paid with a gift card" };
+  }
+
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ["$refundedAmount", 0] }, value] }, paid + 0.001] },
+    },
+    { $inc: { refundedAmount: value } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { status: 409, error: "Nothing left to refund on this order" };
+  }
+
+  const refund = await Refund.create({
+    orderId: order._id,
+    userId: order.userId,
+    paymentId: payment ? payment._id : undefined,
+    returnOrderId,
+    source,
+    amount: value,
+    method: refundMethod,
+    note,
+    createdBy,
+  });
+
+  if (refundMethod === "storeCredit") {
+    const transaction = await creditWallet(order.userId, value, {
+      source: "refund",
+      reason: `Refund for order ${order.orderNumber || order._id}`,
+      orderId: order._id,
+      refundId: refund._id,
+    });
+    refund.status = "completed";
+    refund.reference = transaction._id.toString();
+    refund.processedAt = new Date();
+    await refund.save();
+    await markPaymentsRefunded(order);
+  } else if (refundMethod === "giftCard") {
+    await reverseRedemption(order.giftCard.giftCardId, value, { orderId: order._id });
+    refund.status = "completed";
+    refund.reference = order.giftCard.code;
+    refund.processedAt = new Date();
+    await refund.save();
+    await markPaymentsRefunded(order);
+  } else if (refundMethod === "original" && gateway) {
+    try {
+      const sent = await gateway.refund(payment.transactionId, value);
+      refund.status = "completed";
+      refund.reference = sent.refundId;
+      refund.processedAt = new Date();
+    } catch (error) {
+      refund.status = "failed";
+      refund.failureReason = error.message;
+      await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -value } });
+    }
+    await refund.save();
+    if (refund.status === "completed") {
+      await markPaymentsRefunded(order);
+    }
+  }
+  return { refund };
+};
+
+// Records the outcome of a pending refund made by hand (bank transfer or a
+// manual UPI payment sent back). A failed refund frees its amount
+// again. Returns `{ refund }` or `{ status, error }`.
+const settleRefund = async (refundId, { status, reference, note, processedBy }) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: "pending" },
+    {
+      $set: {
+        status,
+        reference,
+        processedBy,
+        processedAt: new Date(),
+        ...(status === "failed" ? { failureReason: note } : { note }),
+      },
+    },
+    { new: true }
+  );
+  if (!refund) {
+    return { status: 400, error: "Only a pending refund can be settled" };
+  }
+
+  const order = await Order.findById(refund.orderId);
+  if (status === "failed") {
+    await Order.updateOne({ _id: refund.orderId }, { $inc: { refundedAmount: -refund.amount } });
+  } else if (order) {
+    await markPaymentsRefunded(order);
+  }
+  return { refund };
+};
+
+// Refunds of orders, for the customer's order view
+const refundsByOrder = async (orderIds) => {
+  const refunds = await Refund.find(
+    { orderId: { $in: orderIds } },
+    "orderId amount method status reference source createdAt processedAt"
+  ).sort({ createdAt: -1 });
+
+  const byOrder = new Map();
+  for (const refund of refunds) {
+    const key = refund.orderId.toString();
+    byOrder.set(key, [...(byOrder.get(key) || []), refund]);
+  }
+  return byOrder;
+};
+
+module.exports = { createRefund, settleRefund, refundsByOrder };
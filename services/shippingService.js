@@ -0,0 +1,90 @@
+const ShippingRule = require("../models/ShippingRule");
+
+// Standard delivery charge used until admins configure a rule that applies
+const defaultCharge = () => Number(process.env.DEFAULT_DELIVERY_CHARGES || 93);
+
+// Total grams (weight) or items (itemCount) of the lines a slab rule is measured by
+const measure = (basis, lines) =>
+  lines.reduce(
+    (total, { product, quantity }) =>
+      total + (basis === "weight" ? (product.weight || 0) * quantity : quantity),
+    0
+  );
+
+// Charge of the first slab covering `amount`, or null when none does
+const slabCharge = (slabs, amount) => {
+  const sorted = [...slabs].sort(
+    (a, b) => (a.upTo == null ? Infinity : a.upTo) - (b.upTo == null ? Infinity : b.upTo)
+  );
+  const slab = sorted.find(({ upTo }) => upTo == null || amount <= upTo);
+  return slab ? slab.charge : null;
+};
+
+// What `rule` charges for the lines, or null when it doesn't cover them
+const ruleCharge = (rule, { lines, subtotal }) => {
+  if (rule.freeAbove != null && subtotal >= rule.freeAbove) {
+    return 0;
+  }
+  if (rule.basis === "flat") {
+    return rule.rate;
+  }
+  return slabCharge(rule.slabs, measure(rule.basis, lines));
+};
+
+// Active rules of `method` that apply to `zone`; rules naming the zone are
+// tried before zone-less ones, then by priority
+const candidateRules = async (method, zone) => {
+  const rules = await ShippingRule.find({ method, active: true }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+  const zoned = rules.filter((rule) => zone && rule.zones.includes(zone));
+  const general = rules.filter((rule) => rule.zones.length === 0);
+  return [...zoned, ...general];
+};
+
+// Delivery charge for cart/order lines ({ product, quantity }) with the given
+// item `subtotal`, shipped by `method` to a pincode in `zone` (unknown zones
+// only match zone-less rules). Returns `{ method, charge, rule }`, where `rule`
+// describes what was applied, or `{ error }` when the method isn't offered.
+const quoteShipping = async ({ lines, subtotal, zone, method = "standard" }) => {
+  for (const rule of await candidateRules(method, zone)) {
+    const charge = ruleCharge(rule, { lines, subtotal });
+    if (charge != null) {
+      return {
+        method,
+        charge,
+        rule: {
+          ruleId: rule._id,
+          name: rule.name,
+          basis: rule.basis,
+          zone: zone || null,
+          freeShipping: charge === 0 && rule.freeAbove != null && subtotal >= rule.freeAbove,
+        },
+      };
+    }
+  }
+
+  if (method === "standard") {
+    return {
+      method,
+      charge: defaultCharge(),
+      rule: { name: "Default", basis: "flat", zone: zone || null, freeShipping: false },
+    };
+  }
+  return { error: `${method} shipping is not available for this address` };
+};
+
+// Every shipping method available for the lines, e.g. to let the customer choose
+const shippingOptions = async ({ lines, subtotal, zone }) => {
+  const options = [];
+  for (const method of ShippingRule.METHODS) {
+    const quote = await quoteShipping({ lines, subtotal, zone, method });
+    if (!quote.error) {
+      options.push({ method, charge: quote.charge });
+    }
+  }
+  return options;
+};
+
+module.exports = { quoteShipping, shippingOptions };
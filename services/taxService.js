@@ -0,0 +1,102 @@
+const Category = require("../models/Category");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+const normalizeState = (state) =>
+  String(state || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// GST settings:
+// - SELLER_STATE: the state we ship from
+// - PRICES_INCLUDE_TAX: "false" when catalogue prices exclude GST (default: included)
+// - GST_RATE: rate (%) for products whose product and category set none
+// - SHIPPING_GST_RATE: rate (%) charged on delivery charges (default 18)
+const taxConfig = () => ({
+  originState: process.env.SELLER_STATE || "",
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX !== "false",
+  defaultRate: Number(process.env.GST_RATE || 0),
+  shippingRate: Number(process.env.SHIPPING_GST_RATE ?? 18),
+});
+
+// Supplies to another state (or to an unknown one) carry IGST, supplies within
+// our own state CGST + SGST
+const isInterState = (shipToState, originState = taxConfig().originState) =>
+  !shipToState || !originState || normalizeState(shipToState) !== normalizeState(originState);
+
+// GST on `amount` at `rate` (%). With `inclusive` the amount already contains
+// the tax, otherwise the tax comes on top of it.
+const taxAmount = (amount, rate, { interState, inclusive }) => {
+  const taxableValue = roundAmount(inclusive ? amount / (1 + rate / 100) : amount);
+  const tax = roundAmount(inclusive ? amount - taxableValue : (amount * rate) / 100);
+  const cgst = interState ? 0 : roundAmount(tax / 2);
+  return {
+    rate,
+    taxableValue,
+    cgst,
+    sgst: interState ? 0 : roundAmount(tax - cgst),
+    igst: interState ? tax : 0,
+    total: tax,
+  };
+};
+
+// HSN code and GST rate of each product: its own, else its category's
+const classifyProducts = async (products) => {
+  const categoryIds = [...new Set(products.map((product) => idOf(product.category)))];
+  const categories = await Category.find({ _id: { $in: categoryIds } }, "hsnCode gstRate");
+  const byId = new Map(categories.map((category) => [idOf(category), category]));
+  const { defaultRate } = taxConfig();
+
+  return products.map((product) => {
+    const category = byId.get(idOf(product.category)) || {};
+    return {
+      hsnCode: product.hsnCode || category.hsnCode,
+      rate: product.gstRate ?? category.gstRate ?? defaultRate,
+    };
+  });
+};
+
+// GST for priced lines ({ product, quantity, unitPrice }) shipped to
+// `shipToState`. `couponDiscount` is spread over the lines by value, since it
+// lowers what is taxed. Returns the tax of every line (in order), of the
+// delivery charges and the totals, plus `extraCharge`: what is added to the
+// order total when prices exclude tax.
+const computeTax = async (lines, { shipToState, couponDiscount = 0, deliveryCharges = 0 }) => {
+  const { pricesIncludeTax, shippingRate } = taxConfig();
+  const interState = isInterState(shipToState);
+  const options = { interState, inclusive: pricesIncludeTax };
+
+  const classes = await classifyProducts(lines.map((line) => line.product));
+  const gross = lines.map((line) => line.unitPrice * line.quantity);
+  const itemsTotal = gross.reduce((total, amount) => total + amount, 0);
+
+  const lineTaxes = lines.map((line, index) => {
+    const share = itemsTotal > 0 ? (couponDiscount * gross[index]) / itemsTotal : 0;
+    return {
+      hsnCode: classes[index].hsnCode,
+      ...taxAmount(Math.max(gross[index] - share, 0), classes[index].rate, options),
+    };
+  });
+  const shipping = taxAmount(deliveryCharges, shippingRate, options);
+
+  const sum = (field) =>
+    roundAmount([...lineTaxes, shipping].reduce((total, tax) => total + tax[field], 0));
+  const totals = {
+    pricesIncludeTax,
+    interState,
+    taxableValue: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    totalTax: sum("total"),
+  };
+
+  return {
+    lines: lineTaxes,
+    shipping,
+    totals,
+    extraCharge: pricesIncludeTax ? 0 : totals.totalTax,
+  };
+};
+
+module.exports = { taxConfig, isInterState, taxAmount, computeTax };
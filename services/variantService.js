@@ -0,0 +1,98 @@
+const Product = require("../models/Product");
+
+const hasVariants = (product) =>
+  Array.isArray(product.variants) && product.variants.length > 0;
+
+// Variants a customer can actually buy right now
+const getAvailableVariants = (product) =>
+  hasVariants(product)
+    ? product.variants.filter((variant) => variant.active && variant.quantity > 0)
+    : [];
+
+// Resolve the variant a cart/order line points at and the stock and unit price
+// that apply to it. Products without variants fall back to product-level values.
+const resolveVariant = (product, variantId) => {
+  if (!hasVariants(product)) {
+    if (variantId) {
+      return { error: `Product ${product._id} has no variants` };
+    }
+    return { variant: null, stock: product.quantity, price: product.finalPrice };
+  }
+
+  if (!variantId) {
+    return { error: `Variant is required for product: ${product._id}` };
+  }
+
+  const variant = product.variants.find(
+    (item) => item._id.toString() === variantId.toString()
+  );
+  if (!variant || !variant.active) {
+    return { error: `Variant not available: ${variantId}` };
+  }
+
+  return {
+    variant,
+    stock: variant.quantity,
+    price: variant.price != null ? variant.price : product.finalPrice,
+  };
+};
+
+// Adds `delta` units to a product (and its variant, if any). Use a negative
+// delta to take stock out.
+const adjustStock = (productId, variantId, delta) => {
+  if (variantId) {
+    return Product.updateOne(
+      { _id: productId, "variants._id": variantId },
+      { $inc: { "variants.$.quantity": delta, quantity: delta } }
+    );
+  }
+  return Product.updateOne({ _id: productId }, { $inc: { quantity: delta } });
+};
+
+// Takes `quantity` units out of stock only if that many are still available,
+// in a single atomic update. Resolves to false when the stock ran out.
+const reserveStock = async (productId, variantId, quantity) => {
+  const result = variantId
+    ? await Product.updateOne(
+        {
+          _id: productId,
+          variants: { $elemMatch: { _id: variantId, quantity: { $gte: quantity } } },
+        },
+        { $inc: { "variants.$.quantity": -quantity, quantity: -quantity } }
+      )
+    : await Product.updateOne(
+        { _id: productId, quantity: { $gte: quantity } },
+        { $inc: { quantity: -quantity } }
+      );
+  return result.modifiedCount === 1;
+};
+
+// Variant attributes as a plain object, whether the variant is a document
+// (attributes in a Map) or lean/plain (attributes already an object)
+const plainAttributes = (attributes) =>
+  attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+
+// Plain object for API responses with the purchasable variants spelled out
+const withAvailability = (product) => {
+  const record = product.toObject
+    ? product.toObject({ flattenMaps: true })
+    : product;
+  record.availableVariants = getAvailableVariants(product).map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku,
+    attributes: plainAttributes(variant.attributes),
+    quantity: variant.quantity,
+    price: variant.price != null ? variant.price : product.finalPrice,
+  }));
+  return record;
+};
+
+module.exports = {
+  hasVariants,
+  getAvailableVariants,
+  resolveVariant,
+  adjustStock,
+  reserveStock,
+  plainAttributes,
+  withAvailability,
+};
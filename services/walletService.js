@@ -0,0 +1,102 @@
+const Wallet = require("../models/wallet");
+const WalletTransaction = require("../models/walletTransaction");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Store account on the other side of each kind of wallet movement
+const STORE_ACCOUNTS = {
+  refund: "store:refunds",
+  grant: "store:rewards",
+  revoke: "store:rewards",
+  order: "store:sales",
+  orderReversal: "store:sales",
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const getBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ userId });
+  return wallet ? wallet.balance : 0;
+};
+
+const recordTransaction = (userId, type, amount, balanceAfter, details) => {
+  const wallet = { account: walletAccount(userId), amount };
+  const store = { account: STORE_ACCOUNTS[details.source], amount };
+  return WalletTransaction.create({
+    userId,
+    type,
+    amount,
+    balanceAfter,
+    entries:
+      type === "credit"
+        ? [{ ...store, side: "debit" }, { ...wallet, side: "credit" }]
+        : [{ ...wallet, side: "debit" }, { ...store, side: "credit" }],
+    ...details,
+  });
+};
+
+const addToBalance = (userId, value) =>
+  Wallet.findOneAndUpdate({ userId }, { $inc: { balance: value } }, { new: true, upsert: true });
+
+// Adds store credit to the user's wallet. `details` are the transaction's
+// `source` and `reason`, plus optional `orderId`, `refundId` and `createdBy`.
+// The ledger entry is written first and removed again if the balance can't
+// be updated, so the balance never holds credit the ledger doesn't explain.
+// Returns the transaction.
+const creditWallet = async (userId, amount, details) => {
+  const value = roundAmount(amount);
+  const transaction = await recordTransaction(userId, "credit", value, undefined, details);
+  let wallet;
+  try {
+    wallet = await addToBalance(userId, value).catch((error) => {
+      // Two first credits raced to open the wallet
+      if (error.code !== 11000) throw error;
+      return addToBalance(userId, value);
+    });
+  } catch (error) {
+    await WalletTransaction.deleteOne({ _id: transaction._id });
+    throw error;
+  }
+  transaction.balanceAfter = wallet.balance;
+  await WalletTransaction.updateOne(
+    { _id: transaction._id },
+    { $set: { balanceAfter: wallet.balance } }
+  );
+  return transaction;
+};
+
+// Takes store credit out of the user's wallet. The balance check is part of
+// the update, so concurrent debits can't overdraw it; the amount goes back on
+// the balance if its ledger entry can't be written.
+// Returns `{ transaction }` or `{ error }`.
+const debitWallet = async (userId, amount, details) => {
+  const value = roundAmount(amount);
+  const wallet = await Wallet.findOneAndUpdate(
+    { userId, balance: { $gte: value } },
+    { $inc: { balance: -value } },
+    { new: true }
+  );
+  if (!wallet) {
+    return { error: "Insufficient wallet balance" };
+  }
+  try {
+    return {
+      transaction: await recordTransaction(userId, "debit", value, wallet.balance, details),
+    };
+  } catch (error) {
+    await Wallet.updateOne({ userId }, { $inc: { balance: value } });
+    throw error;
+  }
+};
+
+// The user's transactions, newest first
+const walletTransactions = (userId, { page = 1, limit = 20 } = {}) =>
+  Promise.all([
+    WalletTransaction.countDocuments({ userId }),
+    WalletTransaction.find({ userId }, "-entries")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+  ]);
+
+module.exports = { getBalance, creditWallet, debitWallet, walletTransactions };
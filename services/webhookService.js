@@ -0,0 +1,127 @@
+const WebhookEvent = require("../models/webhookEvent");
+const PaymentIntent = require("../models/paymentIntent");
+const PaymentHistory = require("../models/paymentHistory");
+const { getGateway } = require("./gateways");
+const { applyGatewayPayment, syncGatewayPayment } = require("./paymentIntentService");
+const { closeUnpaidOrder } = require("./orderService");
+const { createRefund } = require("./refundService");
+const Order = require("../models/Order");
+
+// Acts on one stored event. Every step only changes what is still open, so an
+// event may be processed again (gateway retry or admin replay) without paying,
+// failing or refunding anything twice. Returns `{ status, note }`.
+const handleEvent = async (event) => {
+  const payment = event.payload || {};
+  const intent = await PaymentIntent.findOne({
+    provider: event.provider,
+    gatewayPaymentId: payment.gatewayPaymentId,
+  });
+
+  switch (event.type) {
+    case "payment.authorized":
+    case "payment.captured":
+    case "payment.failed": {
+      if (!intent) {
+        return { status: "ignored", note: "No order is waiting for this payment" };
+      }
+      // An authorized payment is captured through the gateway first
+      const result =
+        event.type === "payment.authorized"
+          ? await syncGatewayPayment(intent)
+          : await applyGatewayPayment(intent, payment);
+      if (result.error) {
+        return { status: "failed", note: result.error };
+      }
+      if (result.outcome === "failed") {
+        await closeUnpaidOrder(result.intent, "Payment failed");
+      }
+      // Paid after the order was given up: the money goes back
+      if (result.outcome === "late") {
+        const order = await Order.findById(result.intent.orderId);
+        if (order) {
+          await createRefund(order, { source: "cancellation" });
+        }
+      }
+      return { status: "processed", note: `Payment ${result.outcome}` };
+    }
+    case "refund.processed": {
+      // A partial refund leaves the payment as it is
+      if (payment.status !== "refunded") {
+        return { status: "processed", note: "Partial refund" };
+      }
+      const updated = await PaymentHistory.updateMany(
+        {
+          provider: event.provider,
+          transactionId: payment.gatewayPaymentId,
+          status: { $in: ["COMPLETED", "REFUND_PENDING"] },
+        },
+        { $set: { status: "REFUNDED" } }
+      );
+      return { status: "processed", note: `${updated.modifiedCount} payment(s) updated` };
+    }
+    default:
+      return { status: "ignored", note: `Unhandled event type ${event.type}` };
+  }
+};
+
+// Processes a stored event and records the outcome on it
+const processWebhookEvent = async (event) => {
+  let outcome;
+  try {
+    outcome = await handleEvent(event);
+  } catch (error) {
+    outcome = { status: "failed", note: error.message };
+  }
+  event.status = outcome.status;
+  event.note = outcome.note;
+  event.attempts += 1;
+  event.processedAt = new Date();
+  await event.save();
+  return event;
+};
+
+// Verifies and stores a webhook as received from `provider`, then processes
+// it. A repeated event id is not stored again and is only processed again
+// when its last attempt failed.
+// Returns `{ event, duplicate }` or `{ status, error }`.
+const receiveWebhook = async (provider, { rawBody, signature }) => {
+  const gateway = getGateway(provider);
+  if (!gateway) {
+    return { status: 404, error: "Unknown payment provider" };
+  }
+  if (!gateway.verifySignature({ rawBody, signature })) {
+    return { status: 401, error: "Invalid webhook signature" };
+  }
+
+  let parsed;
+  try {
+    parsed = gateway.parseWebhook(rawBody);
+  } catch (error) {
+    return { status: 400, error: "Webhook body is not valid JSON" };
+  }
+  if (!parsed) {
+    return { status: 400, error: "Webhook event id and type are required" };
+  }
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      provider,
+      eventId: parsed.eventId,
+      type: parsed.type,
+      payload: parsed.payment,
+      rawBody: rawBody.toString("utf8"),
+      signature,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const stored = await WebhookEvent.findOne({ provider, eventId: parsed.eventId });
+    if (stored.status !== "failed") {
+      return { event: stored, duplicate: true };
+    }
+    event = stored;
+  }
+  return { event: await processWebhookEvent(event), duplicate: false };
+};
+
+module.exports = { processWebhookEvent, receiveWebhook };
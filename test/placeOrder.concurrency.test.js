@@ -0,0 +1,125 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const Address = require("../models/userAddress");
+const Pincode = require("../models/Pincode");
+const { placeOrder } = require("../services/orderService");
+
+const PINCODE = "560001";
+const BUYERS = 5;
+
+let server;
+
+before(async () => {
+  process.env.UPI_PAYEE_ID = "store@upi";
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+  await Pincode.create({ pincode: PINCODE, zone: "local", minDays: 1, maxDays: 3 });
+});
+
+const createProduct = (fields) =>
+  Product.create({
+    name: "Shirt",
+    description: "Cotton shirt",
+    category: new mongoose.Types.ObjectId(),
+    subCategory: new mongoose.Types.ObjectId(),
+    brand: new mongoose.Types.ObjectId(),
+    color: ["Blue"],
+    basePrice: 500,
+    finalPrice: 500,
+    images: ["shirt.jpg"],
+    ...fields,
+  });
+
+// A user with an address we deliver to
+const createBuyer = async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const address = await Address.create({
+    userId,
+    name: "Buyer",
+    mobile: "9876543210",
+    email: "buyer@example.com",
+    Pincode: PINCODE,
+    Landmark: "Park",
+    district: "Bengaluru",
+    state: "Karnataka",
+    fullAddress: "1 Main Road",
+  });
+  return { userId, addressId: address._id };
+};
+
+// Places one order per buyer for `items`, all at the same time
+const orderInParallel = async (items) => {
+  const buyers = await Promise.all(Array.from({ length: BUYERS }, createBuyer));
+  return Promise.all(
+    buyers.map(({ userId, addressId }) => placeOrder({ userId, addressId, items }))
+  );
+};
+
+const assertOnlyOnePlaced = (results) => {
+  const placed = results.filter((result) => !result.error);
+  const refused = results.filter((result) => result.error);
+  assert.strictEqual(placed.length, 1);
+  for (const result of refused) {
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.error, "Stock not available");
+  }
+};
+
+test("parallel orders for the last unit of a product: only one is placed", async () => {
+  const product = await createProduct({ quantity: 1 });
+
+  const results = await orderInParallel([{ productId: product._id, quantity: 1 }]);
+
+  assertOnlyOnePlaced(results);
+  assert.strictEqual((await Product.findById(product._id)).quantity, 0);
+  assert.strictEqual(await Order.countDocuments({ "orderItems.productId": product._id }), 1);
+});
+
+test("parallel orders for the last unit of a variant: only one is placed", async () => {
+  const product = await createProduct({
+    quantity: 0,
+    variants: [
+      { sku: "SHIRT-M", attributes: { size: "M" }, quantity: 1 },
+      { sku: "SHIRT-L", attributes: { size: "L" }, quantity: 3 },
+    ],
+  });
+  const variantId = product.variants[0]._id;
+
+  const results = await orderInParallel([{ productId: product._id, variantId, quantity: 1 }]);
+
+  assertOnlyOnePlaced(results);
+  const stored = await Product.findById(product._id);
+  assert.strictEqual(stored.variants.id(variantId).quantity, 0);
+  assert.strictEqual(stored.quantity, 3);
+});
+
+test("orders that run out on a later line give back the lines already reserved", async () => {
+  const plenty = await createProduct({ name: "Socks", quantity: 10 });
+  const last = await createProduct({ quantity: 1 });
+
+  const results = await orderInParallel([
+    { productId: plenty._id, quantity: 2 },
+    { productId: last._id, quantity: 1 },
+  ]);
+
+  assertOnlyOnePlaced(results);
+  assert.strictEqual((await Product.findById(plenty._id)).quantity, 8);
+  assert.strictEqual((await Product.findById(last._id)).quantity, 0);
+  assert.strictEqual(await Order.countDocuments(), 1);
+});
@@ -2,6 +2,36 @@ const Joi = require("joi");
 // const Joi = require("@hapi/joi");
 const mongoose = require("mongoose");
 
+// Attribute a Category/SubCategory expects its products to carry
+const attributeDefinitionSchema = Joi.object({
+  name: Joi.string().trim().required().messages({
+    "string.empty": "Attribute name is required",
+    "any.required": "Attribute name is required",
+  }),
+  type: Joi.string().valid("string", "number", "boolean").default("string").messages({
+    "any.only": "Attribute type must be one of string, number, boolean",
+  }),
+  required: Joi.boolean().default(false),
+  multiple: Joi.boolean().default(false),
+  allowedValues: Joi.array().items(Joi.string().trim()),
+});
+
+const attributeDefinitionsSchema = Joi.array()
+  .items(attributeDefinitionSchema)
+  .unique("name")
+  .messages({
+    "array.unique": "Attribute names must be unique",
+  });
+
+// HSN code: 4, 6 or 8 digits
+const hsnCodeSchema = Joi.string().trim().pattern(/^(\d{4}|\d{6}|\d{8})$/).messages({
+  "string.pattern.base": "HSN code must have 4, 6 or 8 digits",
+});
+
+const gstRateSchema = Joi.number().valid(0, 5, 12, 18, 28).messages({
+  "any.only": "GST rate must be one of 0, 5, 12, 18, 28",
+});
+
 const categoryValidationSchema = Joi.object({
   name: Joi.string().min(1).max(255).required().messages({
     "string.base": "Category name should be a type of text",
@@ -10,6 +40,9 @@ const categoryValidationSchema = Joi.object({
     "string.min": "Category name should have a minimum length of {#limit}",
     "string.max": "Category name should have a maximum length of {#limit}",
   }),
+  attributes: attributeDefinitionsSchema,
+  hsnCode: hsnCodeSchema,
+  gstRate: gstRateSchema,
 });
 
 const subCategoryValidationSchema = Joi.object({
@@ -33,6 +66,7 @@ const subCategoryValidationSchema = Joi.object({
       "any.required": "Category ID is required",
       "any.invalid": "Category ID must be a valid ObjectId",
     }),
+  attributes: attributeDefinitionsSchema,
 });
 
 const brandValidationSchema = Joi.object({
@@ -95,6 +129,15 @@ const productValidationSchema = Joi.object({
     "any.only": "Foot size must be one of 28,30...........40 ",
     "any.required": "Foot size is required",
   }),
+  attributes: Joi.object().messages({
+    "object.base": "Product attributes must be an object",
+  }),
+
+  productType: Joi.string().valid("standard", "giftCard").default("standard"),
+  giftCard: Joi.object({
+    value: Joi.number().min(1).precision(2).required(),
+    validityDays: Joi.number().integer().min(1)
+  }).when("productType", { is: "giftCard", then: Joi.required(), otherwise: Joi.forbidden() }),
 
   quantity: Joi.number().integer().min(0).required().messages({
     "number.base": "Product quantity must be a number",
@@ -102,6 +145,12 @@ const productValidationSchema = Joi.object({
     "any.required": "Product quantity is required",
   }),
   stock: Joi.boolean().default(true),
+  hsnCode: hsnCodeSchema,
+  gstRate: gstRateSchema,
+  weight: Joi.number().min(0).messages({
+    "number.base": "Product weight must be a number",
+    "number.min": "Product weight cannot be less than 0",
+  }),
   discountPrice: Joi.number().min(0).messages({
     "number.base": "Product discount price must be a number",
     "number.min": "Product discount price cannot be less than 0",
@@ -133,6 +182,39 @@ const productValidationSchema = Joi.object({
   active: Joi.boolean().default(true),
 });
 
+const variantValidationSchema = Joi.object({
+  sku: Joi.string().trim().required().messages({
+    "string.base": "Variant SKU must be a string",
+    "string.empty": "Variant SKU is required",
+    "any.required": "Variant SKU is required",
+  }),
+  attributes: Joi.object()
+    .pattern(Joi.string(), Joi.string().trim().required())
+    .min(1)
+    .required()
+    .messages({
+      "object.base": "Variant attributes must be an object",
+      "object.min": "Variant needs at least one attribute",
+      "any.required": "Variant attributes are required",
+    }),
+  quantity: Joi.number().integer().min(0).required().messages({
+    "number.base": "Variant quantity must be a number",
+    "number.min": "Variant quantity cannot be less than 0",
+    "any.required": "Variant quantity is required",
+  }),
+  price: Joi.number().min(0).messages({
+    "number.base": "Variant price must be a number",
+    "number.min": "Variant price cannot be less than 0",
+  }),
+  images: Joi.array().items(Joi.string()),
+  active: Joi.boolean().default(true),
+});
+
+const updateVariantValidationSchema = variantValidationSchema.fork(
+  ["sku", "attributes", "quantity"],
+  (field) => field.optional()
+);
+
 
 //register Scehma
 const signupSchema = Joi.object({
@@ -230,13 +312,22 @@ const schema = Joi.object({
     fullAddress: Joi.string().trim().message({
       "string.empty": "fullAddress is required",
       "any.required": "fullAddress is required"
-    })
+    }),
+    isDefaultShipping: Joi.boolean(),
+    isDefaultBilling: Joi.boolean()
 
   });
 
+  // Validation schema for updating an address: the same fields, all optional
+  const updateAddressSchema = Addresschema.fork(
+    ["name", "mobile", "email", "Pincode", "Landmark", "district", "state", "addressAs"],
+    (field) => field.optional()
+  ).min(1);
+
   // Validation schema for adding items to the cart
 const updateItemSchema = Joi.object({
           productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+          variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
           action: Joi.string().valid('increment', 'decrement')
 });
  // Define Joi schema
@@ -249,15 +340,241 @@ const updateItemSchema = Joi.object({
 
 // Validation schema for creating an order
 const JoiOrderSchema = Joi.object({
-  addressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  addressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  billingAddressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  shippingMethod: Joi.string().valid("standard", "express").default("standard"),
+  couponCode: Joi.string().trim(),
+  paymentMethod: Joi.string().valid("UPI", "ONLINE", "COD").default("UPI"),
+  giftCardCode: Joi.string().trim().max(32),
+  useWallet: Joi.boolean().default(false),
   products: Joi.array().items(
       Joi.object({
           productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+          variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
           quantity: Joi.number().integer().positive().required()
       })
   ).required()
 });
 
+// Validation schema for checking out the cart
+const checkoutSchema = Joi.object({
+  addressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  billingAddressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  shippingMethod: Joi.string().valid("standard", "express").default("standard"),
+  paymentMethod: Joi.string().valid("UPI", "ONLINE", "COD").default("UPI"),
+  giftCardCode: Joi.string().trim().max(32),
+  useWallet: Joi.boolean().default(false)
+});
+
+// Validation schema for changing an order's status
+const updateOrderStatusSchema = Joi.object({
+  status: Joi.string().required(),
+  note: Joi.string().trim().max(500).optional()
+});
+
+// Validation schema for an admin recording the outcome of a COD delivery
+const codStatusSchema = Joi.object({
+  status: Joi.string().valid("collected", "refused").required(),
+  note: Joi.string().trim().max(500)
+});
+
+// Validation schema for an admin blocking COD for a user
+const codBlockSchema = Joi.object({
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("userId must be a valid id").required(),
+  reason: Joi.string().trim().max(500).required()
+});
+
+// Validation schema for a customer cancelling their order
+const cancelOrderSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    "string.empty": "Cancellation reason is required",
+    "any.required": "Cancellation reason is required"
+  })
+});
+
+// Validation schema for the admin order listing filters (query string)
+const orderListQuerySchema = Joi.object({
+  status: Joi.string().trim(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("userId must be a valid id"),
+  productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("productId must be a valid id"),
+  pincode: Joi.string().trim(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  sortBy: Joi.string().valid("date", "total").default("date"),
+  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for the admin order export: listing filters plus file format
+const orderExportQuerySchema = orderListQuerySchema.keys({
+  format: Joi.string().valid("csv", "xlsx").default("csv")
+});
+
+// UTR: the 12-digit reference of a UPI transfer
+const utrNumberSchema = Joi.string().trim().pattern(/^\d{12}$/).message("UTR must be a 12-digit number");
+
+// Validation schema for a customer submitting the UTR of their UPI payment
+const submitUtrSchema = Joi.object({
+  utrNumber: utrNumberSchema.required()
+});
+
+// Validation schema for an admin rejecting a submitted UPI payment
+const rejectPaymentSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
+
+// Validation schema for bank statement credits fed to the payment matcher
+const paymentMatchSchema = Joi.object({
+  credits: Joi.array()
+    .items(
+      Joi.object({
+        utrNumber: utrNumberSchema.required(),
+        amount: Joi.number().positive().required()
+      })
+    )
+    .min(1)
+    .max(500)
+    .required()
+});
+
+// Validation schema for the admin webhook event listing (query string)
+const webhookEventQuerySchema = Joi.object({
+  provider: Joi.string().trim(),
+  status: Joi.string().valid("received", "processed", "ignored", "failed"),
+  type: Joi.string().trim(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for playing a mock gateway checkout
+const mockPaymentSchema = Joi.object({
+  outcome: Joi.string().valid("success", "authorized", "failure").required(),
+  delayMs: Joi.number().integer().min(0).max(600000).default(0),
+  webhook: Joi.boolean().default(true)
+});
+
+// Validation schema for the admin payment intent listing (query string)
+const paymentIntentQuerySchema = Joi.object({
+  status: Joi.string().valid("created", "submitted", "paid", "failed", "expired", "cancelled"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Indian postal code: six digits, not starting with 0
+const pincodeSchema = Joi.string().trim().pattern(/^[1-9][0-9]{5}$/).message("Pincode must be a 6-digit number");
+
+// Validation schema for one row of the admin serviceable-pincode CSV
+const pincodeRowSchema = Joi.object({
+  pincode: pincodeSchema.required(),
+  zone: Joi.string().trim().required(),
+  codAvailable: Joi.boolean().truthy("yes", "y", "1").falsy("no", "n", "0").default(false),
+  minDays: Joi.number().integer().min(0).required(),
+  maxDays: Joi.number().integer().min(Joi.ref("minDays")).required(),
+  active: Joi.boolean().truthy("yes", "y", "1").falsy("no", "n", "0").default(true)
+});
+
+// Validation schema for admin shipping rules
+const shippingRuleSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  method: Joi.string().valid("standard", "express").default("standard"),
+  zones: Joi.array().items(Joi.string().trim()).default([]),
+  basis: Joi.string().valid("flat", "weight", "itemCount").default("flat"),
+  rate: Joi.number().min(0).when("basis", { is: "flat", then: Joi.required() }),
+  slabs: Joi.array()
+    .items(
+      Joi.object({
+        upTo: Joi.number().min(0),
+        charge: Joi.number().min(0).required()
+      })
+    )
+    .when("basis", { is: "flat", otherwise: Joi.array().min(1).required() }),
+  freeAbove: Joi.number().min(0),
+  priority: Joi.number().integer().default(0),
+  active: Joi.boolean().default(true)
+});
+
+// Validation schema for the cart summary query: where and how it would ship
+// Same address and payment choices as checkout, so the summary matches it
+const cartQuerySchema = Joi.object({
+  addressId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  pincode: pincodeSchema,
+  shippingMethod: Joi.string().valid("standard", "express").default("standard"),
+  paymentMethod: Joi.string().valid("UPI", "ONLINE", "COD").default("UPI")
+});
+
+const objectIdList = Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("must be a valid id")).default([]);
+
+// Validation schema for admin coupons
+const couponSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).message("Coupon code may only contain letters, digits, - and _").required(),
+  description: Joi.string().trim().allow(""),
+  type: Joi.string().valid("percentage", "flat", "freeShipping", "buyXGetY").required(),
+  value: Joi.number().min(0)
+    .when("type", { is: "percentage", then: Joi.number().max(100).required() })
+    .when("type", { is: "flat", then: Joi.required() }),
+  maxDiscount: Joi.number().min(0),
+  buyQuantity: Joi.number().integer().min(1).when("type", { is: "buyXGetY", then: Joi.required() }),
+  getQuantity: Joi.number().integer().min(1).when("type", { is: "buyXGetY", then: Joi.required() }),
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date().iso().greater(Joi.ref("startsAt")),
+  minCartValue: Joi.number().min(0).default(0),
+  categories: objectIdList,
+  brands: objectIdList,
+  products: objectIdList,
+  usageLimit: Joi.number().integer().min(1),
+  perUserLimit: Joi.number().integer().min(1).default(1),
+  firstOrderOnly: Joi.boolean().default(false),
+  active: Joi.boolean().default(true)
+});
+
+// Validation schema for admin automatic promotions
+const promotionSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow(""),
+  type: Joi.string().valid("percentage", "flat").required(),
+  value: Joi.number().min(0).required()
+    .when("type", { is: "percentage", then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().min(0),
+  minItemPrice: Joi.number().min(0).default(0),
+  categories: objectIdList,
+  subCategories: objectIdList,
+  brands: objectIdList,
+  products: objectIdList,
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref("startsAt")).required(),
+  priority: Joi.number().integer().default(0),
+  stackable: Joi.boolean().default(false),
+  active: Joi.boolean().default(true)
+});
+
+// Validation schema for applying a coupon to the cart
+const applyCouponSchema = Joi.object({
+  code: Joi.string().trim().required().messages({
+    "string.empty": "Coupon code is required",
+    "any.required": "Coupon code is required"
+  })
+});
+
+// Validation schema for scheduling a product price change
+const priceChangeSchema = Joi.object({
+  basePrice: Joi.number().min(0).required(),
+  finalPrice: Joi.number().min(0).max(Joi.ref("basePrice")).required().messages({
+    "number.max": "Final price should be less than or equal to base price"
+  }),
+  effectiveAt: Joi.date().iso().required()
+});
+
+// Validation schema for the admin price report
+const priceReportQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("productId must be a valid id"),
+  source: Joi.string().valid("create", "update", "scheduled")
+});
+
 // Validation schema for creating a rating and review
 const createRatingSchema = Joi.object({
   productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
@@ -274,7 +591,73 @@ const createReturnSchema = Joi.object({
 });
 
 const approveReturnSchema = Joi.object({
-  returnOrderId: Joi.string().required()
+  returnOrderId: Joi.string().required(),
+  refundMethod: Joi.string().valid("original", "storeCredit", "bankTransfer", "giftCard")
+});
+
+// Validation schema for an admin granting or revoking store credit
+const walletAdjustmentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  reason: Joi.string().trim().max(500).required()
+});
+
+// Validation schema for the wallet transaction history (query string)
+const walletQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for an admin issuing a batch of gift cards
+const giftCardIssueSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(500).required(),
+  value: Joi.number().min(1).precision(2).required(),
+  expiresAt: Joi.date().greater("now"),
+  note: Joi.string().trim().max(500)
+});
+
+// Validation schema for checking a gift card's balance
+const giftCardCheckSchema = Joi.object({
+  code: Joi.string().trim().max(32).required()
+});
+
+// Validation schema for an admin enabling or disabling a gift card
+const giftCardStatusSchema = Joi.object({
+  status: Joi.string().valid("active", "disabled").required(),
+  note: Joi.string().trim().max(500)
+});
+
+// Validation schema for the admin gift card listing (query string)
+const giftCardListQuerySchema = Joi.object({
+  status: Joi.string().valid("active", "disabled"),
+  source: Joi.string().valid("purchase", "bulk"),
+  batchId: Joi.string().trim(),
+  orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("orderId must be a valid id"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validation schema for an admin refunding an order by hand
+const refundSchema = Joi.object({
+  orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("orderId must be a valid id").required(),
+  amount: Joi.number().positive(),
+  method: Joi.string().valid("original", "storeCredit", "bankTransfer", "giftCard"),
+  note: Joi.string().trim().max(500)
+});
+
+// Validation schema for an admin recording the outcome of a pending refund
+const settleRefundSchema = Joi.object({
+  status: Joi.string().valid("completed", "failed").required(),
+  reference: Joi.string().trim().max(100).when("status", { is: "completed", then: Joi.required() }),
+  note: Joi.string().trim().max(500)
+});
+
+// Validation schema for the admin refund listing (query string)
+const refundListQuerySchema = Joi.object({
+  status: Joi.string().valid("pending", "completed", "failed"),
+  method: Joi.string().valid("original", "storeCredit", "bankTransfer", "giftCard"),
+  orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message("orderId must be a valid id"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
 // Validation schema for adding products to the wishlist
@@ -316,6 +699,7 @@ const paymentSchema = Joi.object({
     products: Joi.array().items(
         Joi.object({
             productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+            variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
             quantity: Joi.number().positive().required()
         })
     ).required(),
@@ -328,18 +712,52 @@ module.exports = {
   subCategoryValidationSchema,
   brandValidationSchema,
   productValidationSchema,
+  variantValidationSchema,
+  updateVariantValidationSchema,
   signupSchema,
   loginSchema,
   phoneLoginSchema,
   otpValidationSchema,
   schema,
   Addresschema,
+  updateAddressSchema,
    addToCartSchema,
   Contactschema,
   JoiOrderSchema,
+  checkoutSchema,
+  updateOrderStatusSchema,
+  cancelOrderSchema,
+  codStatusSchema,
+  codBlockSchema,
+  orderListQuerySchema,
+  orderExportQuerySchema,
+  submitUtrSchema,
+  rejectPaymentSchema,
+  paymentMatchSchema,
+  paymentIntentQuerySchema,
+  mockPaymentSchema,
+  webhookEventQuerySchema,
+  pincodeSchema,
+  pincodeRowSchema,
+  shippingRuleSchema,
+  cartQuerySchema,
+  couponSchema,
+  applyCouponSchema,
+  promotionSchema,
+  priceChangeSchema,
+  priceReportQuerySchema,
   createRatingSchema,
   createReturnSchema,
   approveReturnSchema,
+  refundSchema,
+  settleRefundSchema,
+  refundListQuerySchema,
+  walletAdjustmentSchema,
+  walletQuerySchema,
+  giftCardIssueSchema,
+  giftCardCheckSchema,
+  giftCardStatusSchema,
+  giftCardListQuerySchema,
   addToWishlistSchema ,
   paymentSchema,
   updateItemSchema
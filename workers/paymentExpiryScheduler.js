@@ -0,0 +1,30 @@
+const { expireUnpaidOrders } = require("../services/orderService");
+
+// Expires unpaid UPI payment intents and releases their orders every
+// PAYMENT_EXPIRY_INTERVAL_MS (default one minute; 0 disables it). Intents are
+// claimed atomically, so several instances may run it safely.
+function startPaymentExpiryScheduler(intervalMs = Number(process.env.PAYMENT_EXPIRY_INTERVAL_MS ?? 60000)) {
+  if (!intervalMs) {
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    // a slow run is not overlapped by the next one
+    if (running) return;
+    running = true;
+    try {
+      await expireUnpaidOrders();
+    } catch (error) {
+      console.error("Error expiring unpaid orders:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startPaymentExpiryScheduler };
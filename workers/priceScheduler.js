@@ -0,0 +1,34 @@
+const { applyDuePriceChanges } = require("../services/priceService");
+
+// Applies due scheduled price changes every PRICE_SCHEDULER_INTERVAL_MS
+// (default one minute; 0 disables it, e.g. for a second app instance).
+// Changes are claimed atomically, so several instances may run it safely.
+function startPriceScheduler(intervalMs = Number(process.env.PRICE_SCHEDULER_INTERVAL_MS ?? 60000)) {
+  if (!intervalMs) {
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    // a slow run is not overlapped by the next one
+    if (running) return;
+    running = true;
+    try {
+      // the reason of each failure is kept on its price change
+      const { failed } = await applyDuePriceChanges();
+      if (failed) {
+        console.error(`Error applying scheduled price changes: ${failed} failed`);
+      }
+    } catch (error) {
+      console.error("Error applying scheduled price changes:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startPriceScheduler };